@@ -0,0 +1,69 @@
+import { createPublicKey, verify } from 'node:crypto';
+
+// Identify the signed-in Clerk user behind a request, without a network call.
+// Clerk puts the session JWT in the `__session` cookie for same-origin
+// requests (or callers can send it as a Bearer token). It is verified against
+// the instance's PEM public key from CLERK_JWT_KEY; without that key every
+// caller is treated as anonymous.
+
+let publicKey = null;
+
+function getPublicKey() {
+  const pem = process.env.CLERK_JWT_KEY;
+  if (!pem) return null;
+  if (!publicKey) {
+    // Env files often store the PEM with literal "\n" sequences
+    publicKey = createPublicKey(pem.replace(/\\n/g, '\n'));
+  }
+  return publicKey;
+}
+
+function readSessionToken(req) {
+  const auth = req.headers?.authorization;
+  if (auth?.startsWith('Bearer ')) return auth.slice(7).trim();
+
+  const cookies = req.headers?.cookie || '';
+  const match = cookies.match(/(?:^|;\s*)__session=([^;]+)/);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    // A malformed cookie is no session
+    return null;
+  }
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Returns the Clerk user id (`sub`) for a valid session token, otherwise null
+export function verifiedUserId(req) {
+  const key = getPublicKey();
+  if (!key) return null;
+  const token = readSessionToken(req);
+  if (!token) return null;
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  try {
+    if (decodeSegment(header).alg !== 'RS256') return null;
+    const valid = verify(
+      'RSA-SHA256',
+      Buffer.from(`${header}.${payload}`),
+      key,
+      Buffer.from(signature, 'base64url'),
+    );
+    if (!valid) return null;
+
+    const claims = decodeSegment(payload);
+    const now = Math.floor(Date.now() / 1000);
+    // Allow a few seconds of clock skew between Clerk and the function
+    if (claims.exp && claims.exp < now - 5) return null;
+    if (claims.nbf && claims.nbf > now + 5) return null;
+    return claims.sub || null;
+  } catch {
+    return null;
+  }
+}
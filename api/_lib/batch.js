@@ -0,0 +1,161 @@
+import { roundCoord } from './cache.js';
+import { ProxyError, errorBody } from './errors.js';
+import { fetchUpstream } from './proxy.js';
+import { RATE_LIMIT_BURST } from './rateLimit.js';
+
+// Batch requests: the same set of upstream calls for several locations.
+//
+//   POST /api/weather
+//   {
+//     "locations": ["40.68,-80.11", { "lat": 39.95, "lon": -75.16 }],
+//     "requests": [
+//       { "upstream": "weatherapi", "endpoint": "forecast.json", "params": { "q": "{lat},{lon}", "days": 3 } },
+//       { "upstream": "nws", "endpoint": "points/{lat},{lon}" }
+//     ]
+//   }
+//
+// "{lat}" and "{lon}" in an endpoint or parameter value are replaced with each
+// location's coordinates, rounded like the cache rounds them, so locations that
+// round to the same point share their upstream calls. `requests` defaults to a
+// single WeatherAPI.com forecast.
+//
+// Response: { results: [...] } with one entry per input location, in order:
+//   { location: { lat, lon }, responses: [
+//       { upstream, endpoint, ok: true, status, cache, data } |
+//       { upstream, endpoint, ok: false, status, error: <error envelope> } ] }
+//   or { location: <as given>, error: <error envelope> } for a location that
+//   could not be parsed. Failures stay inside their entry; the batch itself only
+//   fails when its shape is wrong.
+
+export const MAX_LOCATIONS = 25;
+export const MAX_REQUESTS = 10;
+
+// Distinct upstream calls per batch. Each costs a rate limit token, so this
+// stays below the default burst size, and a batch costing more than the
+// configured burst could never be let through at all.
+export const MAX_CALLS = 50;
+
+// Distinct upstream calls in flight at once for one batch
+const CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+const DEFAULT_REQUESTS = [
+  { upstream: 'weatherapi', endpoint: 'forecast.json', params: { q: '{lat},{lon}' } },
+];
+
+const invalid = (message) => new ProxyError(400, { code: 'invalid_request', message });
+
+function parseLocation(input) {
+  const [lat, lon] = typeof input === 'string'
+    ? input.split(',').map((part) => (part.trim() === '' ? NaN : Number(part)))
+    : [Number(input?.lat), Number(input?.lon)];
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return null;
+  }
+  return { lat: roundCoord(lat), lon: roundCoord(lon) };
+}
+
+function parseRequest(input) {
+  if (typeof input?.endpoint !== 'string') return null;
+  if (input.params !== undefined && (typeof input.params !== 'object' || Array.isArray(input.params))) return null;
+  return { upstream: input.upstream ?? 'weatherapi', endpoint: input.endpoint, params: input.params || {} };
+}
+
+// Check the overall shape of a batch body and work out the upstream calls it
+// needs. Throws a ProxyError when the batch as a whole can't be run;
+// individual bad locations are reported per item.
+export function planBatch(body) {
+  if (!body || typeof body !== 'object') throw invalid('Batch requests need a JSON body');
+  const { locations, requests = DEFAULT_REQUESTS } = body;
+
+  if (!Array.isArray(locations) || locations.length === 0) {
+    throw invalid('locations must be a non-empty array');
+  }
+  if (locations.length > MAX_LOCATIONS) throw invalid(`At most ${MAX_LOCATIONS} locations per batch`);
+  if (!Array.isArray(requests) || requests.length === 0) {
+    throw invalid('requests must be a non-empty array');
+  }
+  if (requests.length > MAX_REQUESTS) throw invalid(`At most ${MAX_REQUESTS} requests per batch`);
+
+  const parsedRequests = requests.map(parseRequest);
+  const bad = parsedRequests.indexOf(null);
+  if (bad !== -1) throw invalid(`requests[${bad}] needs an endpoint and optional params object`);
+
+  const batch = {
+    locations: locations.map((input) => ({ input, location: parseLocation(input) })),
+    requests: parsedRequests,
+  };
+  batch.calls = plannedCalls(batch);
+  if (batch.calls.size > MAX_CALLS) {
+    throw invalid(`This batch needs ${batch.calls.size} upstream calls; the limit is ${MAX_CALLS}`);
+  }
+  if (batch.calls.size > RATE_LIMIT_BURST) {
+    throw invalid(`This batch needs ${batch.calls.size} upstream calls but the rate limit allows at most ${RATE_LIMIT_BURST} at once; split it up`);
+  }
+  return batch;
+}
+
+const fill = (value, { lat, lon }) => String(value).replaceAll('{lat}', lat).replaceAll('{lon}', lon);
+
+// One request template filled in for one location, with a key that is equal
+// for identical calls
+function callFor(request, location) {
+  const endpoint = fill(request.endpoint, location);
+  const params = Object.fromEntries(Object.entries(request.params).map(([k, v]) => [k, fill(v, location)]));
+  return { upstream: request.upstream, endpoint, params, key: JSON.stringify([request.upstream, endpoint, params]) };
+}
+
+// Run `tasks` (functions returning promises that never reject) at most `limit` at a time
+async function runPool(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+// Every distinct upstream call a batch needs, keyed so duplicates collapse
+function plannedCalls({ locations, requests }) {
+  const calls = new Map();
+  for (const { location } of locations) {
+    if (!location) continue;
+    for (const request of requests) {
+      const call = callFor(request, location);
+      if (!calls.has(call.key)) calls.set(call.key, call);
+    }
+  }
+  return calls;
+}
+
+export async function runBatch(req, batch) {
+  const { calls } = batch;
+  const keys = [...calls.keys()];
+  const outcomes = await runPool(keys.map((key) => async () => {
+    const { upstream, endpoint, params } = calls.get(key);
+    try {
+      const result = await fetchUpstream(upstream, endpoint, params);
+      return { upstream, endpoint, ok: true, status: result.status, cache: result.cache, data: result.data };
+    } catch (error) {
+      if (!(error instanceof ProxyError)) console.error('Batch call failed:', error);
+      const proxyError = error instanceof ProxyError
+        ? error
+        : new ProxyError(500, { code: 'internal_error', message: 'Something went wrong on our side' });
+      return { upstream, endpoint, ok: false, status: proxyError.status, error: errorBody(req, proxyError) };
+    }
+  }), CONCURRENCY);
+  const byKey = new Map(keys.map((key, i) => [key, outcomes[i]]));
+
+  const results = batch.locations.map(({ input, location }) => {
+    if (!location) {
+      return { location: input, error: errorBody(req, invalid('Location must be "lat,lon" or { lat, lon }')) };
+    }
+    const responses = batch.requests.map((request) => byKey.get(callFor(request, location).key));
+    return { location, responses };
+  });
+
+  return { results };
+}
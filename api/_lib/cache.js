@@ -0,0 +1,114 @@
+// In-memory upstream response cache. It lives as long as the warm function
+// instance, which is enough to absorb the bursts from many open dashboards
+// without an external store.
+
+const MAX_ENTRIES = 500;
+
+const entries = new Map();
+const inflight = new Map();
+
+// Round a coordinate so nearby lookups (GPS jitter, different search results
+// for the same town) share one cache entry. Two decimals is roughly 1 km.
+export function roundCoord(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+// Normalize a location query: "lat,lon" pairs are rounded, text is lowercased.
+function normalizeLocation(value) {
+  const match = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (match) return `${roundCoord(match[1])},${roundCoord(match[2])}`;
+  return value.trim().toLowerCase();
+}
+
+const COORD_PARAMS = ['lat', 'lon', 'latitude', 'longitude'];
+const LOCATION_PARAMS = ['q', 'point'];
+
+// Normalize query parameters so equivalent requests share a cache entry.
+// The normalized values are also what gets sent upstream, so a cached
+// response always matches its key exactly.
+export function normalizeParams(params) {
+  const normalized = {};
+  for (const key of Object.keys(params).sort()) {
+    let value = String(params[key]).trim();
+    if (COORD_PARAMS.includes(key)) value = String(roundCoord(value));
+    if (LOCATION_PARAMS.includes(key)) value = normalizeLocation(value);
+    if (key === 'days') value = String(parseInt(value, 10));
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+// Round any "lat,lon" segment of a path such as NWS's points/40.6834,-80.1067
+export function normalizePath(path) {
+  return path
+    .split('/')
+    .map((segment) => (segment.includes('.') && segment.includes(',') ? normalizeLocation(segment) : segment))
+    .join('/');
+}
+
+// Build a stable cache key from an endpoint and its normalized query parameters
+export function cacheKey(endpoint, params) {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${endpoint}?${query}`;
+}
+
+function store(key, policy, value) {
+  const now = Date.now();
+  entries.delete(key);
+  entries.set(key, {
+    value,
+    storedAt: now,
+    freshUntil: now + policy.ttl * 1000,
+    staleUntil: now + (policy.ttl + policy.staleTtl) * 1000,
+  });
+  // Map keeps insertion order, so the first key is the least recently stored
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Share one upstream call between concurrent requests for the same key
+function load(key, policy, fetcher) {
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = fetcher()
+    .then((value) => {
+      if (value.status === 200) store(key, policy, value);
+      return value;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+// Serve from cache when possible. Fresh entries are a HIT; entries past their
+// TTL but inside the stale window are served as STALE while a refresh runs in
+// the background; anything else is a MISS that waits for upstream.
+// The fetcher resolves to { status, data } and only 200s are stored.
+export async function withCache(key, policy, fetcher) {
+  const now = Date.now();
+  const entry = entries.get(key);
+
+  if (entry && now < entry.freshUntil) {
+    return { ...entry.value, cache: 'HIT', age: Math.floor((now - entry.storedAt) / 1000) };
+  }
+
+  if (entry && now < entry.staleUntil) {
+    load(key, policy, fetcher).catch(() => {});
+    return { ...entry.value, cache: 'STALE', age: Math.floor((now - entry.storedAt) / 1000) };
+  }
+
+  const value = await load(key, policy, fetcher);
+  return { ...value, cache: 'MISS', age: 0 };
+}
+
+// Look up an entry without triggering a fetch (used for HEAD requests, and
+// with `allowExpired` to keep serving old data when upstream is off-limits)
+export function peek(key, { allowExpired = false } = {}) {
+  const entry = entries.get(key);
+  const now = Date.now();
+  if (!entry || (!allowExpired && now >= entry.staleUntil)) return null;
+  return { ...entry.value, fresh: now < entry.freshUntil, age: Math.floor((now - entry.storedAt) / 1000) };
+}
@@ -0,0 +1,57 @@
+import { createHash } from 'node:crypto';
+
+// ETag / Last-Modified validators for proxied responses, so clients can
+// revalidate with If-None-Match and get a 304 when nothing has changed.
+//
+// The ETag hashes the response body minus fields that change on every
+// upstream call without the data changing (generation timestamps, the
+// location's local clock), so it only moves when the provider publishes new
+// data. Last-Modified is the provider's own update time where it reports one.
+
+const VOLATILE_KEYS = new Set([
+  'generationtime_ms', // Open-Meteo
+  'generatedAt', // NWS
+  'localtime', // WeatherAPI.com
+  'localtime_epoch', // WeatherAPI.com
+]);
+
+// When each provider says its data was last updated, as epoch ms, or null
+const UPDATE_TIMES = {
+  nws: (data) => Date.parse(data?.properties?.updateTime || data?.updated) || null,
+  weatherapi: (data) => (data?.current?.last_updated_epoch ? data.current.last_updated_epoch * 1000 : null),
+  rainviewer: (data) => (data?.generated ? data.generated * 1000 : null),
+};
+
+export function hashTag(...parts) {
+  return `W/"${createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 20)}"`;
+}
+
+export function entityTags(upstreamId, data) {
+  const stable = JSON.stringify(data, (key, value) => (VOLATILE_KEYS.has(key) ? undefined : value));
+  const updatedAt = UPDATE_TIMES[upstreamId]?.(data) ?? null;
+  return {
+    etag: hashTag(upstreamId, stable),
+    lastModified: updatedAt ? new Date(updatedAt).toUTCString() : null,
+  };
+}
+
+// Whether the client already holds this version. If-None-Match wins over
+// If-Modified-Since, as in RFC 9110.
+export function notModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers?.['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    // Weak comparison: W/"x" and "x" name the same version
+    const weak = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some((tag) => weak(tag) === weak(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers?.['if-modified-since']);
+  return Boolean(lastModified && ifModifiedSince && Date.parse(lastModified) <= ifModifiedSince);
+}
+
+// Set validators and let browsers keep a copy as long as they revalidate it
+export function setValidators(res, { etag, lastModified }) {
+  res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified);
+  res.setHeader('Cache-Control', 'private, no-cache');
+}
@@ -0,0 +1,85 @@
+import { randomUUID } from 'node:crypto';
+
+// Every error the API sends uses one envelope:
+//   {
+//     error:          human-readable message, safe to show to users
+//     code:           machine-readable reason (see below)
+//     provider:       upstream the failure concerns, or null
+//     upstreamStatus: HTTP status the upstream answered with, or null
+//     retryable:      whether the same request may succeed if tried again later
+//     requestId:      correlation id, also sent as X-Request-Id and logged
+//     retryAfter?:    seconds to wait, when known
+//     fields?:        [{ field, message }] for invalid query parameters
+//   }
+//
+// Codes:
+//   method_not_allowed, invalid_request, rate_limited, not_configured,
+//   quota_exhausted     this proxy refused the request
+//   fixture_missing     replay mode has no recording for the request
+//   upstream_timeout    the upstream did not answer in time
+//   upstream_unreachable  the connection to the upstream failed
+//   upstream_auth       the upstream rejected our credentials
+//   upstream_quota      the upstream says we are over its rate or quota
+//   upstream_rejected   the upstream refused the request (4xx)
+//   upstream_error      the upstream failed (5xx)
+//   invalid_response    the upstream answered with an empty or non-JSON body
+//   internal_error      a bug on our side
+
+export class ProxyError extends Error {
+  constructor(status, { code, message, provider = null, upstreamStatus = null, retryable = false, retryAfter, fields }) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.fields = fields;
+  }
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Correlation id for a request: the caller's X-Request-Id when it looks sane,
+// otherwise Vercel's own request id, otherwise a fresh one. Stable per request.
+export function requestId(req) {
+  if (!req.requestId) {
+    const incoming = req.headers?.['x-request-id'] || req.headers?.['x-vercel-id'];
+    req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  }
+  return req.requestId;
+}
+
+export function errorBody(req, error) {
+  const body = {
+    error: error.message,
+    code: error.code,
+    provider: error.provider,
+    upstreamStatus: error.upstreamStatus,
+    retryable: error.retryable,
+    requestId: requestId(req),
+  };
+  if (error.retryAfter) body.retryAfter = error.retryAfter;
+  if (error.fields) body.fields = error.fields;
+  return body;
+}
+
+// Send an error in the envelope format. Anything that isn't a ProxyError is
+// a bug and is reported as a 500 without leaking its details.
+export function sendError(req, res, error) {
+  const proxyError = error instanceof ProxyError
+    ? error
+    : new ProxyError(500, { code: 'internal_error', message: 'Something went wrong on our side' });
+
+  if (proxyError.status >= 500) {
+    console.error(`[${requestId(req)}] ${proxyError.code}:`, proxyError === error ? error.message : error);
+  }
+  res.setHeader('X-Request-Id', requestId(req));
+  if (proxyError.retryAfter) res.setHeader('Retry-After', String(proxyError.retryAfter));
+  return res.status(proxyError.status).json(errorBody(req, proxyError));
+}
+
+export function methodNotAllowed(req, res) {
+  return sendError(req, res, new ProxyError(405, { code: 'method_not_allowed', message: 'Method not allowed' }));
+}
@@ -0,0 +1,44 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Record/replay of upstream responses for offline development and demos.
+//   WEATHER_FIXTURES=record  call upstreams as usual and save every response
+//   WEATHER_FIXTURES=replay  never touch the network; answer from saved responses
+// Fixtures are stored per upstream under WEATHER_FIXTURES_DIR (default
+// ./fixtures), one JSON file per distinct request, keyed by the same
+// normalized cache key the proxy uses. Writing needs a writable filesystem,
+// so record against a local `vercel dev`, not a deployment.
+
+const MODES = ['record', 'replay'];
+
+export const FIXTURE_MODE = MODES.includes(process.env.WEATHER_FIXTURES) ? process.env.WEATHER_FIXTURES : null;
+
+const FIXTURE_DIR = path.resolve(process.env.WEATHER_FIXTURES_DIR || 'fixtures');
+
+// Readable prefix from the request path, plus a hash of the full key so
+// requests that differ only in their query parameters get separate files
+function fixturePath(upstreamId, key) {
+  const [endpoint] = key.split('?');
+  const slug = endpoint.slice(upstreamId.length + 1).replace(/[^\w.,-]+/g, '_');
+  const hash = createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return path.join(FIXTURE_DIR, upstreamId, `${slug}-${hash}.json`);
+}
+
+// The recorded { status, data } for a request, or null if none was recorded
+export async function readFixture(upstreamId, key) {
+  try {
+    const fixture = JSON.parse(await readFile(fixturePath(upstreamId, key), 'utf8'));
+    return { status: fixture.status, data: fixture.data };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function writeFixture(upstreamId, key, { status, data }) {
+  const file = fixturePath(upstreamId, key);
+  await mkdir(path.dirname(file), { recursive: true });
+  const fixture = { key, recordedAt: new Date().toISOString(), status, data };
+  await writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
@@ -0,0 +1,112 @@
+import { ProxyError } from './errors.js';
+import { FIXTURE_MODE } from './fixtures.js';
+import { probeUpstream } from './proxy.js';
+
+// Periodic upstream health probes, shared by every client. Each provider gets
+// one small request per interval (made lazily, when /api/health is asked for
+// a report older than that) and keeps a short history of the outcomes. Like
+// the cache, state lives in function memory and is per warm instance.
+
+export const INTERVAL_SECONDS = Number(process.env.HEALTH_INTERVAL_SECONDS) || 120;
+
+// Probes kept per provider for the uptime history (an hour at the default interval)
+const HISTORY_SIZE = 30;
+
+// Successful probes slower than this, or a recent error rate above
+// DEGRADED_ERROR_RATE, report the provider as degraded rather than online
+const SLOW_MS = 3000;
+const DEGRADED_ERROR_RATE = 0.2;
+
+// The same checks the Data Sources page used to run from every browser
+const PROBES = [
+  { id: 'nws', upstream: 'nws', endpoint: 'points/40,-80' },
+  { id: 'open-meteo-gfs', upstream: 'open-meteo', endpoint: 'gfs', params: { latitude: 40, longitude: -80, current: 'temperature_2m' } },
+  { id: 'open-meteo-gem', upstream: 'open-meteo', endpoint: 'gem', params: { latitude: 40, longitude: -80, current: 'temperature_2m' } },
+  { id: 'weatherapi', upstream: 'weatherapi', endpoint: 'current.json', params: { q: '40,-80' } },
+  { id: 'rainviewer', upstream: 'rainviewer', endpoint: 'public/weather-maps.json' },
+  { id: 'air-quality', upstream: 'air-quality', endpoint: 'air-quality', params: { latitude: 40, longitude: -80, current: 'us_aqi' } },
+  { id: 'noaa-goes', upstream: 'goes', endpoint: 'GOES16/ABI/SECTOR/NE/GEOCOLOR/latest.jpg', method: 'HEAD' },
+];
+
+const providers = new Map(PROBES.map((probe) => [probe.id, {
+  lastCheckedAt: null,
+  lastSuccessAt: null,
+  latencyMs: null,
+  lastError: null,
+  history: [],
+}]));
+
+let checkedAt = 0;
+let running = null;
+
+async function runProbe(probe) {
+  const state = providers.get(probe.id);
+  const at = new Date().toISOString();
+  let outcome;
+  try {
+    const latencyMs = await probeUpstream(probe.upstream, probe.endpoint, probe.params, { method: probe.method });
+    outcome = { at, ok: true, latencyMs };
+    state.lastSuccessAt = at;
+    state.latencyMs = latencyMs;
+    state.lastError = null;
+  } catch (error) {
+    outcome = { at, ok: false, latencyMs: null };
+    state.latencyMs = null;
+    state.lastError = error instanceof ProxyError
+      ? { code: error.code, message: error.message }
+      : { code: 'internal_error', message: 'Probe failed' };
+  }
+  state.lastCheckedAt = at;
+  state.history.push(outcome);
+  if (state.history.length > HISTORY_SIZE) state.history.shift();
+}
+
+function statusOf(state) {
+  const latest = state.history[state.history.length - 1];
+  if (!latest) return 'unknown';
+  if (!latest.ok) return 'offline';
+  if (latest.latencyMs > SLOW_MS || errorRate(state) > DEGRADED_ERROR_RATE) return 'degraded';
+  return 'online';
+}
+
+function errorRate(state) {
+  if (state.history.length === 0) return null;
+  return state.history.filter((outcome) => !outcome.ok).length / state.history.length;
+}
+
+// Probe every provider if the last round is older than the interval.
+// Concurrent callers share one round.
+async function refresh() {
+  if (Date.now() - checkedAt < INTERVAL_SECONDS * 1000) return;
+  if (!running) {
+    running = Promise.all(PROBES.map(runProbe)).finally(() => {
+      checkedAt = Date.now();
+      running = null;
+    });
+  }
+  await running;
+}
+
+// Current health of every provider. Replay mode never touches the network,
+// so providers stay 'unknown' there.
+export async function healthReport() {
+  if (FIXTURE_MODE !== 'replay') await refresh();
+  const report = {};
+  for (const [id, state] of providers) {
+    const rate = errorRate(state);
+    report[id] = {
+      status: statusOf(state),
+      latencyMs: state.latencyMs,
+      lastCheckedAt: state.lastCheckedAt,
+      lastSuccessAt: state.lastSuccessAt,
+      errorRate: rate === null ? null : Math.round(rate * 100) / 100,
+      lastError: state.lastError,
+      history: state.history,
+    };
+  }
+  return {
+    checkedAt: checkedAt ? new Date(checkedAt).toISOString() : null,
+    intervalSeconds: INTERVAL_SECONDS,
+    providers: report,
+  };
+}
@@ -0,0 +1,269 @@
+import { cacheKey, normalizeParams, normalizePath, peek, withCache } from './cache.js';
+import { entityTags } from './conditional.js';
+import { ProxyError } from './errors.js';
+import { FIXTURE_MODE, readFixture, writeFixture } from './fixtures.js';
+import { applyScenario } from './scenarios.js';
+import { validateParams } from './schemas.js';
+import { buildRequest, findRoute, findUpstream } from './upstreams.js';
+import { nearQuota, recordUpstreamCall, secondsUntilReset } from './usage.js';
+
+// How long to wait for an upstream before giving up on it
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 8000;
+
+// Transient upstream failures (NWS answers the odd 500/503) are retried with
+// exponential backoff and jitter, up to UPSTREAM_MAX_ATTEMPTS calls in all
+const MAX_ATTEMPTS = Number(process.env.UPSTREAM_MAX_ATTEMPTS) || 3;
+const RETRY_STATUSES = [500, 502, 503, 504];
+const RETRY_BASE_MS = 250;
+// A Retry-After longer than this isn't waited out; the failure is reported instead
+const MAX_RETRY_WAIT_MS = 2000;
+
+// Fetch an allowed upstream endpoint through the shared cache, quota and
+// validation rules, with any demo scenario applied (see scenarios.js).
+// Resolves to { status, data, etag, lastModified, cache, age } for successful
+// upstream answers (see conditional.js for the validators);
+// every failure, ours or the upstream's, rejects with a ProxyError.
+export async function fetchUpstream(upstreamId, endpoint, query = {}, { method = 'GET' } = {}) {
+  // Whitelist allowed upstreams and endpoints to prevent abuse
+  const upstream = findUpstream(upstreamId);
+  if (!upstream) {
+    throw new ProxyError(400, { code: 'invalid_request', message: 'Invalid upstream parameter' });
+  }
+  const path = endpoint ? normalizePath(endpoint) : endpoint;
+  const route = findRoute(upstream, path);
+  if (!route) {
+    throw new ProxyError(400, {
+      code: 'invalid_request',
+      message: 'Invalid or missing endpoint parameter',
+      provider: upstream.name,
+    });
+  }
+
+  // Routes with a declared schema only accept their own parameters
+  let validated = query;
+  if (route.params) {
+    const { params, errors } = validateParams(route.params, query);
+    if (errors.length > 0) {
+      throw new ProxyError(400, {
+        code: 'invalid_request',
+        message: 'Invalid query parameters',
+        provider: upstream.name,
+        fields: errors,
+      });
+    }
+    validated = params;
+  }
+
+  const params = normalizeParams(validated);
+  const key = cacheKey(`${upstreamId}/${path}`, params);
+  const result = await loadResult({ upstreamId, upstream, route, path, params, key, method });
+  return applyScenario(upstreamId, route, { path, params }, result);
+}
+
+// Answer a validated request from fixtures, the cache or the upstream itself
+async function loadResult({ upstreamId, upstream, route, path, params, key, method }) {
+  // Replay never touches the network, so it needs neither API keys nor quota
+  if (FIXTURE_MODE === 'replay') {
+    return withCache(key, route, async () => {
+      const fixture = await readFixture(upstreamId, key);
+      if (!fixture) {
+        throw new ProxyError(404, {
+          code: 'fixture_missing',
+          message: `No ${upstream.name} fixture recorded for this request`,
+          provider: upstream.name,
+        });
+      }
+      return { ...fixture, ...entityTags(upstreamId, fixture.data) };
+    });
+  }
+
+  const request = buildRequest(upstream, path, params);
+  if (!request) throw notConfigured(upstream);
+
+  // Close to the daily quota: serve cached data of any age rather than spend more calls
+  if (nearQuota(upstreamId, upstream)) {
+    const cached = peek(key, { allowExpired: true });
+    if (!cached) throw quotaExhausted(upstream);
+    const { fresh, ...value } = cached;
+    return { ...value, cache: fresh ? 'HIT' : 'QUOTA' };
+  }
+
+  // For HEAD requests, answer from cache if we can, otherwise just return the upstream status
+  if (method === 'HEAD') {
+    const cached = peek(key);
+    if (cached) return { status: 200, cache: 'HIT', age: cached.age };
+    recordUpstreamCall(upstreamId, route.name);
+    const response = await callUpstream(upstream, request, 'HEAD');
+    return { status: response.status, cache: 'BYPASS' };
+  }
+
+  return withCache(key, route, async () => {
+    const response = await callWithRetry(upstreamId, upstream, route, request);
+    const result = { status: response.status, data: await readBody(upstream, response) };
+    if (FIXTURE_MODE === 'record') await writeFixture(upstreamId, key, result);
+    return { ...result, ...entityTags(upstreamId, result.data) };
+  });
+}
+
+// Call an upstream directly, bypassing the cache, fixtures and scenarios, to
+// see whether it is answering. Resolves to the round-trip time in ms; failures
+// reject with the same ProxyErrors a proxied call would.
+export async function probeUpstream(upstreamId, endpoint, params = {}, { method = 'GET' } = {}) {
+  const upstream = findUpstream(upstreamId);
+  const route = findRoute(upstream, endpoint);
+  const request = buildRequest(upstream, endpoint, params);
+  if (!request) throw notConfigured(upstream);
+  if (nearQuota(upstreamId, upstream)) throw quotaExhausted(upstream);
+
+  recordUpstreamCall(upstreamId, route.name);
+  const started = Date.now();
+  const response = await callUpstream(upstream, request, method);
+  if (method === 'HEAD') {
+    if (!response.ok) throw upstreamError(upstream, response);
+  } else {
+    await readBody(upstream, response);
+  }
+  return Date.now() - started;
+}
+
+function notConfigured(upstream) {
+  return new ProxyError(500, {
+    code: 'not_configured',
+    message: `${upstream.name} API key not configured`,
+    provider: upstream.name,
+  });
+}
+
+function quotaExhausted(upstream) {
+  return new ProxyError(503, {
+    code: 'quota_exhausted',
+    message: `${upstream.name} daily quota nearly exhausted`,
+    provider: upstream.name,
+    retryable: true,
+    retryAfter: secondsUntilReset(),
+  });
+}
+
+// fetch() with a timeout, turning network failures into ProxyErrors
+async function callUpstream(upstream, request, method) {
+  try {
+    return await fetch(request.url, {
+      method,
+      headers: request.headers,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    throw new ProxyError(timedOut ? 504 : 502, {
+      code: timedOut ? 'upstream_timeout' : 'upstream_unreachable',
+      message: timedOut
+        ? `${upstream.name} did not respond within ${TIMEOUT_MS / 1000} seconds`
+        : `Could not reach ${upstream.name}`,
+      provider: upstream.name,
+      retryable: true,
+    });
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Full jitter: anywhere up to 250 ms, 500 ms, 1 s, ... so retries from many
+// instances don't arrive together
+const backoff = (attempt) => Math.random() * RETRY_BASE_MS * 2 ** (attempt - 1);
+
+// Retry-After in ms (delay-seconds or an HTTP date), or null without one
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+// A GET through callUpstream, tried again after network failures and
+// transient upstream statuses. Timeouts aren't retried: the caller has already
+// waited TIMEOUT_MS. Every attempt counts against the upstream's quota.
+async function callWithRetry(upstreamId, upstream, route, request) {
+  for (let attempt = 1; ; attempt++) {
+    recordUpstreamCall(upstreamId, route.name);
+    let response;
+    try {
+      response = await callUpstream(upstream, request, 'GET');
+    } catch (error) {
+      if (error.code !== 'upstream_unreachable' || attempt >= MAX_ATTEMPTS) throw error;
+      await sleep(backoff(attempt));
+      continue;
+    }
+    if (!RETRY_STATUSES.includes(response.status) || attempt >= MAX_ATTEMPTS) return response;
+    const wait = retryAfterMs(response) ?? backoff(attempt);
+    if (wait > MAX_RETRY_WAIT_MS) return response;
+    await response.body?.cancel();
+    await sleep(wait);
+  }
+}
+
+// Parse an upstream body as JSON. Error statuses become ProxyErrors carrying
+// whatever explanation the upstream gave; HTML error pages and empty bodies
+// become invalid_response.
+async function readBody(upstream, response) {
+  const text = await response.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : undefined;
+  } catch {
+    data = undefined;
+  }
+
+  if (!response.ok) throw upstreamError(upstream, response, data);
+  if (data === undefined) {
+    throw new ProxyError(502, {
+      code: 'invalid_response',
+      message: text
+        ? `${upstream.name} sent a response that isn't valid JSON`
+        : `${upstream.name} sent an empty response`,
+      provider: upstream.name,
+      upstreamStatus: response.status,
+      retryable: true,
+    });
+  }
+  return data;
+}
+
+// WeatherAPI.com reports an exhausted monthly quota as a 403 with this code
+const WEATHERAPI_QUOTA_CODE = 2007;
+
+function upstreamError(upstream, response, data) {
+  const status = response.status;
+  // NWS problem documents use detail/title, WeatherAPI error.message, Open-Meteo reason
+  const detail = data?.error?.message || data?.detail || data?.title || data?.reason;
+  const common = { provider: upstream.name, upstreamStatus: status };
+
+  if (status === 429 || data?.error?.code === WEATHERAPI_QUOTA_CODE) {
+    return new ProxyError(503, {
+      ...common,
+      code: 'upstream_quota',
+      message: `${upstream.name} is rate limiting us or its quota is used up`,
+      retryable: true,
+      retryAfter: Number(response.headers.get('retry-after')) || undefined,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new ProxyError(502, {
+      ...common,
+      code: 'upstream_auth',
+      message: `${upstream.name} rejected our credentials`,
+    });
+  }
+  if (status < 500) {
+    return new ProxyError(status, {
+      ...common,
+      code: 'upstream_rejected',
+      message: detail ? `${upstream.name}: ${detail}` : `${upstream.name} could not answer this request (${status})`,
+    });
+  }
+  return new ProxyError(502, {
+    ...common,
+    code: 'upstream_error',
+    message: `${upstream.name} is having problems (${status})`,
+    retryable: true,
+  });
+}
@@ -0,0 +1,86 @@
+import { verifiedUserId } from './auth.js';
+import { ProxyError, sendError } from './errors.js';
+
+// Per-client token buckets. Each client starts with RATE_LIMIT_BURST tokens,
+// every proxied request spends one, and tokens refill continuously at
+// RATE_LIMIT_PER_MINUTE. Buckets live in function memory, so limits apply per
+// warm instance rather than globally.
+
+const BURST = Number(process.env.RATE_LIMIT_BURST) || 60;
+// The most one request can ever cost
+export const RATE_LIMIT_BURST = BURST;
+const PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 30;
+const REFILL_PER_MS = PER_MINUTE / 60000;
+
+// Sweep idle buckets once the map gets this large
+const MAX_BUCKETS = 5000;
+
+const buckets = new Map();
+
+// Signed-in users are limited per account so they keep their allowance across
+// networks; everyone else is limited per IP address
+export function clientIdentity(req) {
+  const userId = verifiedUserId(req);
+  if (userId) return `user:${userId}`;
+
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const ip = (forwarded ? forwarded.split(',')[0] : req.headers?.['x-real-ip']) ||
+    req.socket?.remoteAddress ||
+    'unknown';
+  return `ip:${ip.trim()}`;
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(BURST, bucket.tokens + (now - bucket.updatedAt) * REFILL_PER_MS);
+  bucket.updatedAt = now;
+}
+
+function sweep(now) {
+  for (const [id, bucket] of buckets) {
+    refill(bucket, now);
+    if (bucket.tokens >= BURST) buckets.delete(id);
+  }
+}
+
+// Spend `cost` tokens for this client. Returns whether the request may proceed,
+// how many tokens are left, and how long to wait (in seconds) when it may not.
+export function takeToken(clientId, cost = 1) {
+  const now = Date.now();
+  let bucket = buckets.get(clientId);
+  if (!bucket) {
+    if (buckets.size >= MAX_BUCKETS) sweep(now);
+    bucket = { tokens: BURST, updatedAt: now };
+    buckets.set(clientId, bucket);
+  }
+
+  refill(bucket, now);
+  if (bucket.tokens < cost) {
+    return {
+      allowed: false,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: Math.ceil((cost - bucket.tokens) / REFILL_PER_MS / 1000),
+    };
+  }
+
+  bucket.tokens -= cost;
+  return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+}
+
+// Apply the limit to a request, setting the rate limit headers. Returns false
+// (after sending a 429) when the client is over its limit. Batch requests cost
+// one token per upstream call they make.
+export function checkRateLimit(req, res, cost = 1) {
+  const result = takeToken(clientIdentity(req), cost);
+  res.setHeader('X-RateLimit-Limit', String(BURST));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  if (!result.allowed) {
+    sendError(req, res, new ProxyError(429, {
+      code: 'rate_limited',
+      message: 'Too many requests',
+      retryable: true,
+      retryAfter: result.retryAfter,
+    }));
+    return false;
+  }
+  return true;
+}
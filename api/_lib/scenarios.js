@@ -0,0 +1,195 @@
+// Canned weather scenarios for demos and UI work, selected with
+// WEATHER_SCENARIO=severe|blizzard. A scenario rewrites upstream responses on
+// their way out of the proxy (after caching and fixture recording, so neither
+// ever holds doctored data), which lets it sit on top of replayed fixtures or
+// live data alike. Each scenario only touches the first day or two and leaves
+// fields it doesn't know about alone.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Replace the first `count` entries of series[field], if that series exists
+function overwrite(series, field, count, value) {
+  const values = series?.[field];
+  if (!Array.isArray(values)) return;
+  for (let i = 0; i < Math.min(count, values.length); i++) {
+    values[i] = typeof value === 'function' ? value(i) : value;
+  }
+}
+
+// Open-Meteo answers in Celsius unless asked for Fahrenheit
+const openMeteoTemp = (params, fahrenheit) =>
+  params.temperature_unit === 'fahrenheit' ? fahrenheit : Math.round((fahrenheit - 32) * 5 / 9);
+
+// Open-Meteo answers in centimetres of snow unless asked for inches
+const openMeteoSnow = (params, centimetres) =>
+  params.precipitation_unit === 'inch' ? Math.round(centimetres / 2.54 * 10) / 10 : centimetres;
+
+// Square around the requested point, so the alert shows up on the radar map
+function pointGeometry(params) {
+  const [lat, lon] = String(params.point || '').split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const d = 0.3;
+  return {
+    type: 'Polygon',
+    coordinates: [[[lon - d, lat - d], [lon + d, lat - d], [lon + d, lat + d], [lon - d, lat + d], [lon - d, lat - d]]],
+  };
+}
+
+function alertFeature(params, { id, event, severity, urgency, headline, description }) {
+  const now = Date.now();
+  return {
+    id: `https://api.weather.gov/alerts/scenario-${id}`,
+    type: 'Feature',
+    geometry: pointGeometry(params),
+    properties: {
+      id: `scenario-${id}`,
+      areaDesc: 'Demo Scenario Area',
+      sent: new Date(now).toISOString(),
+      effective: new Date(now).toISOString(),
+      onset: new Date(now).toISOString(),
+      expires: new Date(now + 6 * HOUR_MS).toISOString(),
+      ends: new Date(now + 12 * HOUR_MS).toISOString(),
+      status: 'Actual',
+      messageType: 'Alert',
+      category: 'Met',
+      severity,
+      certainty: 'Observed',
+      urgency,
+      event,
+      senderName: 'NWS Demo Scenario',
+      headline,
+      description,
+      instruction: 'This is a canned demo scenario, not a real alert.',
+    },
+  };
+}
+
+function addAlerts(data, params, alerts) {
+  if (!Array.isArray(data?.features)) return;
+  data.features.unshift(...alerts.map((alert) => alertFeature(params, alert)));
+}
+
+const SCENARIOS = {
+  severe: {
+    'nws/alerts/active': (data, { params }) => addAlerts(data, params, [
+      {
+        id: 'tornado-warning',
+        event: 'Tornado Warning',
+        severity: 'Extreme',
+        urgency: 'Immediate',
+        headline: 'Tornado Warning issued for the demo area until further notice',
+        description: 'A severe thunderstorm capable of producing a tornado is moving through the area.',
+      },
+      {
+        id: 'severe-thunderstorm-watch',
+        event: 'Severe Thunderstorm Watch',
+        severity: 'Severe',
+        urgency: 'Expected',
+        headline: 'Severe Thunderstorm Watch in effect through this evening',
+        description: 'Conditions are favorable for damaging winds, large hail and isolated tornadoes.',
+      },
+    ]),
+    'nws/gridpoints/forecast': (data, { path }) => {
+      const periods = data?.properties?.periods;
+      const hourly = path.endsWith('/hourly');
+      (periods || []).slice(0, hourly ? 12 : 2).forEach((period) => {
+        period.shortForecast = 'Severe Thunderstorms';
+        period.detailedForecast = 'Showers and thunderstorms. Some storms could be severe, with damaging winds and large hail.';
+        period.probabilityOfPrecipitation = { unitCode: 'wmoUnit:percent', value: 90 };
+        period.windSpeed = hourly ? '30 mph' : '20 to 35 mph';
+      });
+    },
+    'open-meteo/models': (data) => {
+      if (data?.current) {
+        data.current.weather_code = 95;
+        data.current.wind_speed_10m = 35;
+      }
+      overwrite(data?.hourly, 'weather_code', 12, 95);
+      overwrite(data?.hourly, 'cape', 12, 3200);
+      overwrite(data?.hourly, 'precipitation_probability', 12, 90);
+      overwrite(data?.hourly, 'wind_speed_10m', 12, 35);
+    },
+    'weatherapi/forecast.json': (data) => {
+      const today = data?.forecast?.forecastday?.[0]?.day;
+      if (today) {
+        today.condition = { ...today.condition, text: 'Thundery outbreaks in nearby', code: 1087 };
+        today.daily_chance_of_rain = 90;
+        today.totalprecip_in = Math.max(today.totalprecip_in || 0, 1.6);
+        today.maxwind_mph = 45;
+      }
+    },
+  },
+
+  blizzard: {
+    'nws/alerts/active': (data, { params }) => addAlerts(data, params, [
+      {
+        id: 'blizzard-warning',
+        event: 'Blizzard Warning',
+        severity: 'Extreme',
+        urgency: 'Expected',
+        headline: 'Blizzard Warning in effect through tomorrow evening',
+        description: 'Heavy snow with total accumulations of 12 to 18 inches and winds gusting as high as 50 mph. Whiteout conditions are expected.',
+      },
+      {
+        id: 'wind-chill-advisory',
+        event: 'Wind Chill Advisory',
+        severity: 'Moderate',
+        urgency: 'Expected',
+        headline: 'Wind Chill Advisory in effect tonight',
+        description: 'Very cold wind chills as low as 15 below zero expected.',
+      },
+    ]),
+    'nws/gridpoints/forecast': (data, { path }) => {
+      const periods = data?.properties?.periods;
+      const hourly = path.endsWith('/hourly');
+      (periods || []).slice(0, hourly ? 36 : 3).forEach((period, i) => {
+        period.shortForecast = hourly || i === 0 ? 'Blizzard' : 'Heavy Snow And Blowing Snow';
+        period.detailedForecast = 'Snow, heavy at times, with blowing snow. New snow accumulation of 12 to 18 inches.';
+        period.probabilityOfPrecipitation = { unitCode: 'wmoUnit:percent', value: 100 };
+        period.windSpeed = '25 to 35 mph';
+        period.temperature = period.isDaytime ? 18 : 6;
+      });
+    },
+    'open-meteo/models': (data, { params }) => {
+      if (data?.current) {
+        data.current.temperature_2m = openMeteoTemp(params, 15);
+        data.current.apparent_temperature = openMeteoTemp(params, -2);
+        data.current.weather_code = 75;
+        data.current.wind_speed_10m = 35;
+      }
+      overwrite(data?.hourly, 'temperature_2m', 36, openMeteoTemp(params, 14));
+      overwrite(data?.hourly, 'weather_code', 36, 75);
+      overwrite(data?.hourly, 'precipitation_probability', 36, 100);
+      overwrite(data?.hourly, 'snowfall', 36, openMeteoSnow(params, 1.3));
+      overwrite(data?.hourly, 'wind_speed_10m', 36, 35);
+      overwrite(data?.daily, 'snowfall_sum', 2, (i) => openMeteoSnow(params, [30, 15][i]));
+      overwrite(data?.daily, 'temperature_2m_max', 2, openMeteoTemp(params, 20));
+      overwrite(data?.daily, 'temperature_2m_min', 2, openMeteoTemp(params, 5));
+    },
+    'weatherapi/forecast.json': (data) => {
+      (data?.forecast?.forecastday || []).slice(0, 2).forEach(({ day }, i) => {
+        day.condition = { ...day.condition, text: 'Blizzard', code: 1117 };
+        day.totalsnow_cm = [30, 15][i];
+        day.daily_chance_of_snow = 100;
+        day.daily_will_it_snow = 1;
+        day.maxtemp_f = 20;
+        day.mintemp_f = 5;
+        day.maxwind_mph = 40;
+      });
+    },
+  },
+};
+
+export const SCENARIO = SCENARIOS[process.env.WEATHER_SCENARIO] ? process.env.WEATHER_SCENARIO : null;
+
+// Apply the active scenario to one upstream result. The cached/recorded
+// result is never modified; a transformed copy is returned instead.
+export function applyScenario(upstreamId, route, request, result) {
+  const transform = SCENARIO && SCENARIOS[SCENARIO][`${upstreamId}/${route.name}`];
+  if (!transform || result.status !== 200 || result.data === undefined) return result;
+  const data = structuredClone(result.data);
+  transform(data, request);
+  // Doctored data is a different version of the resource
+  const etag = result.etag && result.etag.replace(/"$/, `-${SCENARIO}"`);
+  return { ...result, data, etag };
+}
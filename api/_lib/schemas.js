@@ -0,0 +1,122 @@
+import { roundCoord } from './cache.js';
+
+// Declared query parameters for each WeatherAPI.com endpoint the proxy
+// allows. Every field lists its type, constraints and an optional default;
+// anything not declared (including a caller-supplied `key`) is rejected.
+//
+// Field types:
+//   location  "lat,lon" (rounded to 2 decimals) or free text (trimmed, lowercased)
+//   int       whole number within [min, max]
+//   enum      one of `values`
+//   date      calendar date as YYYY-MM-DD
+//   pattern   string matching `regex`
+
+const location = { type: 'location', required: true };
+const yesNo = { type: 'enum', values: ['yes', 'no'], default: 'no' };
+const lang = { type: 'pattern', regex: /^[a-z]{2}(_[a-z]+)?$/, description: 'a language code such as "fr" or "zh_tw"' };
+
+export const WEATHERAPI_SCHEMAS = {
+  'current.json': {
+    q: location,
+    aqi: yesNo,
+    lang,
+  },
+  'forecast.json': {
+    q: location,
+    days: { type: 'int', min: 1, max: 14, default: 3 },
+    dt: { type: 'date' },
+    hour: { type: 'int', min: 0, max: 23 },
+    alerts: yesNo,
+    aqi: yesNo,
+    lang,
+  },
+  'search.json': {
+    q: { ...location, textOnly: true },
+  },
+  'astronomy.json': {
+    q: location,
+    dt: { type: 'date', required: true },
+  },
+};
+
+const MAX_TEXT_LENGTH = 100;
+
+// Parse one value against its field definition.
+// Returns { value } on success or { message } describing what is wrong.
+function parseField(field, raw) {
+  const value = String(raw).trim();
+
+  switch (field.type) {
+    case 'location': {
+      const coords = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+      if (coords && !field.textOnly) {
+        const lat = Number(coords[1]);
+        const lon = Number(coords[2]);
+        if (lat < -90 || lat > 90) return { message: 'latitude must be between -90 and 90' };
+        if (lon < -180 || lon > 180) return { message: 'longitude must be between -180 and 180' };
+        return { value: `${roundCoord(lat)},${roundCoord(lon)}` };
+      }
+      if (!value) return { message: 'must not be empty' };
+      if (value.length > MAX_TEXT_LENGTH) return { message: `must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.toLowerCase() };
+    }
+    case 'int': {
+      if (!/^-?\d+$/.test(value)) return { message: 'must be a whole number' };
+      const number = Number(value);
+      if (number < field.min || number > field.max) {
+        return { message: `must be between ${field.min} and ${field.max}` };
+      }
+      return { value: String(number) };
+    }
+    case 'enum': {
+      const lower = value.toLowerCase();
+      if (!field.values.includes(lower)) return { message: `must be one of ${field.values.join(', ')}` };
+      return { value: lower };
+    }
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) ||
+          date.toISOString().slice(0, 10) !== value) {
+        return { message: 'must be a date in YYYY-MM-DD format' };
+      }
+      return { value };
+    }
+    case 'pattern': {
+      const lower = value.toLowerCase();
+      if (!field.regex.test(lower)) return { message: `must be ${field.description}` };
+      return { value: lower };
+    }
+    default:
+      return { message: 'is not supported' };
+  }
+}
+
+// Validate query parameters against a schema. Returns the normalized
+// parameters (with defaults filled in) and a list of offending fields.
+export function validateParams(schema, query) {
+  const params = {};
+  const errors = [];
+
+  // Own keys only, so inherited names like "constructor" are undeclared too
+  for (const name of Object.keys(query)) {
+    if (!Object.hasOwn(schema, name)) errors.push({ field: name, message: 'is not an allowed parameter' });
+  }
+
+  for (const [name, field] of Object.entries(schema)) {
+    const raw = Object.hasOwn(query, name) ? query[name] : undefined;
+    if (Array.isArray(raw)) {
+      errors.push({ field: name, message: 'must only be given once' });
+      continue;
+    }
+    if (raw === undefined || raw === '') {
+      if (field.required) errors.push({ field: name, message: 'is required' });
+      else if (field.default !== undefined) params[name] = String(field.default);
+      continue;
+    }
+    const result = parseField(field, raw);
+    if (result.message) errors.push({ field: name, message: result.message });
+    else params[name] = result.value;
+  }
+
+  return { params, errors };
+}
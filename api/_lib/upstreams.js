@@ -0,0 +1,144 @@
+// Registry of upstream weather providers the proxy is allowed to call.
+// Each upstream lists the paths it accepts (anchored patterns matched against
+// the `endpoint` query parameter) together with that path's cache policy in
+// seconds and a short name used for usage accounting. Anything not listed
+// here is rejected before it reaches the network. Routes may also declare a
+// `params` schema (see schemas.js); their query is then validated strictly.
+
+import { WEATHERAPI_SCHEMAS } from './schemas.js';
+
+// NWS asks every client to identify itself with a contact in the User-Agent,
+// and Nominatim's usage policy requires the same, so every upstream call uses it
+export const USER_AGENT = process.env.UPSTREAM_USER_AGENT ||
+  'WeatherMin/2.0 (https://github.com/bri9and/weathermin)';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const COORDS = String.raw`-?\d+(?:\.\d+)?,-?\d+(?:\.\d+)?`;
+
+export const UPSTREAMS = {
+  weatherapi: {
+    name: 'WeatherAPI.com',
+    baseUrl: 'https://api.weatherapi.com/v1/',
+    apiKey: { env: 'WEATHERAPI_KEY', param: 'key' },
+    dailyQuotaEnv: 'WEATHERAPI_DAILY_QUOTA',
+    routes: [
+      { name: 'current.json', path: /^current\.json$/, params: WEATHERAPI_SCHEMAS['current.json'], ttl: 5 * MINUTE, staleTtl: 10 * MINUTE },
+      { name: 'forecast.json', path: /^forecast\.json$/, params: WEATHERAPI_SCHEMAS['forecast.json'], ttl: 30 * MINUTE, staleTtl: HOUR },
+      { name: 'search.json', path: /^search\.json$/, params: WEATHERAPI_SCHEMAS['search.json'], ttl: DAY, staleTtl: 7 * DAY },
+      { name: 'astronomy.json', path: /^astronomy\.json$/, params: WEATHERAPI_SCHEMAS['astronomy.json'], ttl: 12 * HOUR, staleTtl: DAY },
+    ],
+  },
+  nws: {
+    name: 'National Weather Service',
+    baseUrl: 'https://api.weather.gov/',
+    headers: { 'Accept': 'application/geo+json' },
+    routes: [
+      // Grid lookups only change when NWS redraws office boundaries
+      { name: 'points', path: new RegExp(`^points/${COORDS}$`), ttl: DAY, staleTtl: 7 * DAY },
+      { name: 'gridpoints/forecast', path: /^gridpoints\/[A-Z]{3}\/\d+,\d+\/forecast(\/hourly)?$/, ttl: 15 * MINUTE, staleTtl: HOUR },
+      { name: 'gridpoints', path: /^gridpoints\/[A-Z]{3}\/\d+,\d+$/, ttl: 30 * MINUTE, staleTtl: HOUR },
+      // Observation stations near a grid point, nearest first
+      { name: 'gridpoints/stations', path: /^gridpoints\/[A-Z]{3}\/\d+,\d+\/stations$/, ttl: DAY, staleTtl: 7 * DAY },
+      { name: 'stations/observations', path: /^stations\/[A-Z0-9]{3,5}\/observations$/, ttl: 10 * MINUTE, staleTtl: HOUR },
+      { name: 'alerts/active', path: /^alerts\/active$/, ttl: MINUTE, staleTtl: 2 * MINUTE },
+    ],
+  },
+  'open-meteo': {
+    name: 'Open-Meteo',
+    baseUrl: 'https://api.open-meteo.com/v1/',
+    routes: [
+      { name: 'models', path: /^(gfs|gem|ecmwf|forecast)$/, ttl: 15 * MINUTE, staleTtl: HOUR },
+    ],
+  },
+  'air-quality': {
+    name: 'Open-Meteo Air Quality',
+    baseUrl: 'https://air-quality-api.open-meteo.com/v1/',
+    routes: [
+      { name: 'air-quality', path: /^air-quality$/, ttl: 30 * MINUTE, staleTtl: HOUR },
+    ],
+  },
+  // Observed weather (ERA5 reanalysis) for scoring past forecasts. Days are
+  // filled in a few days late and then never change.
+  'open-meteo-archive': {
+    name: 'Open-Meteo Archive',
+    baseUrl: 'https://archive-api.open-meteo.com/v1/',
+    routes: [
+      { name: 'archive', path: /^archive$/, ttl: 6 * HOUR, staleTtl: DAY },
+    ],
+  },
+  geocoding: {
+    name: 'Open-Meteo Geocoding',
+    baseUrl: 'https://geocoding-api.open-meteo.com/v1/',
+    routes: [
+      { name: 'search', path: /^search$/, ttl: DAY, staleTtl: 7 * DAY },
+    ],
+  },
+  rainviewer: {
+    name: 'RainViewer',
+    baseUrl: 'https://api.rainviewer.com/',
+    routes: [
+      // New radar frames are published every 10 minutes
+      { name: 'weather-maps.json', path: /^public\/weather-maps\.json$/, ttl: 2 * MINUTE, staleTtl: 3 * MINUTE },
+    ],
+  },
+  nominatim: {
+    name: 'Nominatim',
+    baseUrl: 'https://nominatim.openstreetmap.org/',
+    routes: [
+      { name: 'reverse', path: /^reverse$/, ttl: DAY, staleTtl: 7 * DAY },
+    ],
+  },
+  zippopotam: {
+    name: 'Zippopotam.us',
+    baseUrl: 'https://api.zippopotam.us/',
+    routes: [
+      { name: 'us', path: /^us\/\d{5}$/, ttl: 7 * DAY, staleTtl: 30 * DAY },
+    ],
+  },
+  // Satellite imagery is loaded straight from the CDN by the browser; the
+  // proxy only checks that it is up (see health.js)
+  goes: {
+    name: 'NOAA GOES',
+    baseUrl: 'https://cdn.star.nesdis.noaa.gov/',
+    routes: [
+      { name: 'latest.jpg', path: /^GOES1[6-9]\/ABI\/SECTOR\/[A-Z]+\/GEOCOLOR\/latest\.jpg$/, ttl: 5 * MINUTE, staleTtl: 5 * MINUTE },
+    ],
+  },
+};
+
+// The upstream with this id, or null. Only UPSTREAMS' own keys count, so
+// names like "toString" or "__proto__" are unknown like any other.
+export function findUpstream(upstreamId) {
+  return Object.hasOwn(UPSTREAMS, upstreamId) ? UPSTREAMS[upstreamId] : null;
+}
+
+// Find the route an endpoint belongs to, or null if the upstream does not allow it
+export function findRoute(upstream, endpoint) {
+  if (!endpoint) return null;
+  return upstream.routes.find((route) => route.path.test(endpoint)) || null;
+}
+
+// Build the upstream request for an allowed endpoint. Returns null when the
+// upstream needs an API key that is not configured.
+export function buildRequest(upstream, endpoint, params) {
+  const url = new URL(endpoint, upstream.baseUrl);
+  if (upstream.apiKey) {
+    const key = process.env[upstream.apiKey.env];
+    if (!key) return null;
+    url.searchParams.set(upstream.apiKey.param, key);
+  }
+  for (const [k, v] of Object.entries(params)) {
+    url.searchParams.set(k, String(v));
+  }
+  return {
+    url: url.toString(),
+    headers: {
+      'Accept': 'application/json',
+      ...upstream.headers,
+      'User-Agent': USER_AGENT,
+    },
+  };
+}
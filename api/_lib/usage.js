@@ -0,0 +1,69 @@
+// Running count of upstream calls per endpoint per UTC day, used to keep
+// metered providers (WeatherAPI.com) under their quota. Counts live in
+// function memory and reset when an instance is recycled.
+
+// Fraction of a daily quota after which the proxy stops calling upstream and
+// serves whatever it has cached instead
+const SOFT_LIMIT = Number(process.env.QUOTA_SOFT_LIMIT) || 0.9;
+
+// How many days of history to keep for the usage report
+const HISTORY_DAYS = 7;
+
+const days = new Map();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function recordUpstreamCall(upstreamId, routeName) {
+  const day = today();
+  if (!days.has(day)) {
+    days.set(day, new Map());
+    // Map keeps insertion order, so the oldest day comes first
+    while (days.size > HISTORY_DAYS) days.delete(days.keys().next().value);
+  }
+  const counts = days.get(day);
+  const key = `${upstreamId}/${routeName}`;
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function callsToday(upstreamId) {
+  const counts = days.get(today());
+  if (!counts) return 0;
+  let total = 0;
+  for (const [key, count] of counts) {
+    if (key.startsWith(`${upstreamId}/`)) total += count;
+  }
+  return total;
+}
+
+export function dailyQuota(upstream) {
+  const quota = upstream.dailyQuotaEnv ? Number(process.env[upstream.dailyQuotaEnv]) : 0;
+  return quota > 0 ? quota : null;
+}
+
+// True once an upstream has used SOFT_LIMIT of its configured daily quota
+export function nearQuota(upstreamId, upstream) {
+  const quota = dailyQuota(upstream);
+  return quota !== null && callsToday(upstreamId) >= quota * SOFT_LIMIT;
+}
+
+// Seconds until the quota resets at UTC midnight
+export function secondsUntilReset() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+export function usageReport(upstreams) {
+  const report = {};
+  for (const [day, counts] of days) {
+    report[day] = Object.fromEntries(counts);
+  }
+  const quotas = {};
+  for (const [id, upstream] of Object.entries(upstreams)) {
+    const quota = dailyQuota(upstream);
+    if (quota !== null) {
+      quotas[id] = { quota, usedToday: callsToday(id), throttled: nearQuota(id, upstream) };
+    }
+  }
+  return { days: report, quotas, softLimit: SOFT_LIMIT };
+}
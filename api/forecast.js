@@ -0,0 +1,258 @@
+import { blendDaily } from '../src/lib/blend.js';
+import { sourceLabel } from '../src/lib/sources.js';
+import { DEFAULT_STRATEGY, STRATEGIES } from '../src/lib/strategies.js';
+import { createNwsClient, createOpenMeteoClient, createWeatherApiClient, IMPERIAL } from '../src/lib/providers/index.js';
+import { hashTag, notModified, setValidators } from './_lib/conditional.js';
+import { errorBody, methodNotAllowed, ProxyError, requestId, sendError } from './_lib/errors.js';
+import { fetchUpstream } from './_lib/proxy.js';
+import { checkRateLimit } from './_lib/rateLimit.js';
+
+// The blended forecast for one location, built server-side from NWS,
+// Open-Meteo (GFS, GEM, air quality) and WeatherAPI.com so every client gets
+// the same product from a single request.
+//
+//   GET /api/forecast?lat=40.68&lon=-80.11[&strategy=consensus]
+//
+// `strategy` names the daily blending strategy (src/lib/strategies.js);
+// nws-first when left out.
+//
+// Every value is in the canonical units of src/lib/units.js (°F, inch, mph, ...)
+// and each series names its units.
+//
+// Response:
+//   version        document format version (2: canonical units, daily_units)
+//   generatedAt    ISO timestamp
+//   location       { latitude, longitude, timeZone, nws: { gridId, gridX, gridY, timeZone } | null }
+//                  timeZone is the location's IANA zone; every time in the
+//                  document is wall-clock time there ("2026-01-15T06:00").
+//                  nws is null where NWS has no forecast (outside the US)
+//   current        GFS current conditions (Open-Meteo field names), with current_units;
+//                  WeatherAPI.com's when GFS is unavailable
+//   hourly         GFS hourly series (Open-Meteo field names), with hourly_units;
+//                  WeatherAPI.com's when GFS is unavailable
+//   daily          blended daily series (Open-Meteo field names, see src/lib/blend.js),
+//                  with daily_units; condition[i] is the NWS condition behind
+//                  weather_code[i] (src/lib/conditions.js), or null
+//   strategy       the blending strategy the daily series was built with
+//   alerts         active alert features for the point: NWS, or WeatherAPI.com's
+//                  national feeds outside NWS coverage (same NWS property names)
+//   airQuality     Open-Meteo air quality response ({ current, current_units })
+//   provenance     where each part came from; daily.<field>[i] names the source
+//                  of daily.<field>[i] (nws-hourly, nws-forecast, weatherapi, gem,
+//                  default, or "a+b" for a mean of several). current and hourly
+//                  come whole from one source (gfs, or weatherapi when GFS
+//                  failed), so they name it once for every value
+//   unavailable    { <feature>: reason } for features this location can't have;
+//                  nws when NWS has nothing for it, which also rules out
+//                  everything NWS-specific in the UI
+//   degraded       fallbacks actually taken for this document, as
+//                  [{ part, source, using, message }]: `part` is current, hourly,
+//                  daily, alerts or airQuality, `source` the source that failed,
+//                  `using` the one that stood in (null when nothing could), and
+//                  `message` a line for the UI ("NWS hourly unavailable, using GEM")
+//   sources        per-upstream { ok, status, cache, etag } for this request, or
+//                  { ok: false, status, error } with the error envelope of a failed call
+//
+// Sources are read through the shared provider clients (src/lib/providers) and
+// merged by the pure blend step. Each upstream call goes through the same
+// cache, quota and validation as /api/weather. Each source settles on its
+// own: a failing one falls back to the next source for its part (listed in
+// `degraded`), or leaves the part null, instead of failing the whole document.
+//
+// NWS only covers the US. When its points lookup has nothing for the location
+// (or fails), the document is built from the worldwide sources alone: GFS for
+// current and hourly, WeatherAPI.com (or GEM) for every daily value, and
+// WeatherAPI.com for alerts.
+//
+// The document's ETag is derived from the upstream ETags, so If-None-Match
+// gets a 304 until one of the sources publishes new data.
+
+const VERSION = 2;
+
+const GFS_CURRENT = ['temperature_2m', 'relative_humidity_2m', 'apparent_temperature', 'precipitation',
+  'weather_code', 'surface_pressure', 'wind_speed_10m', 'wind_direction_10m'];
+const GFS_HOURLY = ['temperature_2m', 'relative_humidity_2m', 'precipitation_probability',
+  'precipitation', 'weather_code', 'wind_speed_10m', 'wind_direction_10m', 'cape', 'snowfall'];
+// GEM's daily temperatures and conditions stand in when WeatherAPI.com is unavailable
+const GEM_DAILY = ['snowfall_sum', 'sunrise', 'sunset', 'uv_index_max', 'weather_code',
+  'temperature_2m_max', 'temperature_2m_min', 'precipitation_sum'];
+const AIR_QUALITY = ['us_aqi', 'pm10', 'pm2_5', 'carbon_monoxide', 'nitrogen_dioxide', 'ozone'];
+
+const degradation = (part, source, using) => ({
+  part,
+  source,
+  using,
+  message: `${sourceLabel(source)} unavailable${using ? `, using ${sourceLabel(using)}` : ''}`,
+});
+
+const parseCoord = (value, limit) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && Math.abs(number) <= limit
+    ? number
+    : null;
+};
+
+// A provider transport (see src/lib/providers) that goes straight through the
+// proxy and records the outcome of its calls in `sources[name]`. A source that
+// needs several calls keeps the first failure.
+const sourceTransport = (req, sources, name) => async (upstreamId, endpoint, params) => {
+  try {
+    const result = await fetchUpstream(upstreamId, endpoint, params);
+    if (sources[name]?.ok !== false) {
+      sources[name] = { ok: true, status: result.status, cache: result.cache, etag: result.etag };
+    }
+    return result.data;
+  } catch (error) {
+    if (error instanceof ProxyError) {
+      sources[name] = { ok: false, status: error.status, error: errorBody(req, error) };
+    }
+    throw error;
+  }
+};
+
+// A failed source leaves its part null; anything but a proxy error is a bug
+const orNull = (promise) => promise.catch((error) => {
+  if (error instanceof ProxyError) return null;
+  throw error;
+});
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return methodNotAllowed(req, res);
+  }
+
+  res.setHeader('X-Request-Id', requestId(req));
+
+  // Anything but a ProxyError is a bug, still answered in the error envelope
+  try {
+    return await respond(req, res);
+  } catch (error) {
+    return sendError(req, res, error);
+  }
+}
+
+async function respond(req, res) {
+  if (!checkRateLimit(req, res)) return;
+
+  const lat = parseCoord(req.query.lat, 90);
+  const lon = parseCoord(req.query.lon, 180);
+  if (lat === null || lon === null) {
+    return sendError(req, res, new ProxyError(400, {
+      code: 'invalid_request',
+      message: 'lat and lon query parameters are required',
+    }));
+  }
+
+  const strategy = req.query.strategy || DEFAULT_STRATEGY;
+  if (!Object.hasOwn(STRATEGIES, strategy)) {
+    return sendError(req, res, new ProxyError(400, {
+      code: 'invalid_request',
+      message: `Unknown blending strategy; use one of ${Object.keys(STRATEGIES).join(', ')}`,
+    }));
+  }
+
+  const sources = {};
+  // A provider client whose calls are recorded as source `name`
+  const client = (create, name, ...args) => create(sourceTransport(req, sources, name), ...args);
+
+  // 1. Get NWS grid point. Outside the US there is none.
+  let point = null;
+  try {
+    point = await client(createNwsClient, 'nws-points').point({ lat, lon });
+  } catch (error) {
+    if (!(error instanceof ProxyError)) throw error;
+  }
+  const unavailable = {};
+  if (!point) {
+    unavailable.nws = sources['nws-points'].ok || sources['nws-points'].status === 404
+      ? 'National Weather Service forecasts only cover the United States'
+      : 'National Weather Service is unavailable right now';
+  }
+  const location = { lat, lon, point };
+  // Every request and every time in the document uses the location's own zone
+  const timezone = point?.timeZone || 'auto';
+  const alertsClient = point
+    ? client(createNwsClient, 'nws-alerts')
+    : client(createWeatherApiClient, 'weatherapi-alerts');
+
+  // 2. Fetch forecast, hourly, alerts, and model data in parallel
+  const [nwsDaily, nwsHourly, alerts, gfs, weatherApi, gem, airQuality] = await Promise.all([
+    point && orNull(client(createNwsClient, 'nws-forecast').daily(location)),
+    point && orNull(client(createNwsClient, 'nws-hourly').hourly(location)),
+    orNull(alertsClient.alerts(location)),
+    orNull(client(createOpenMeteoClient, 'gfs', 'gfs').forecast(location, {
+      current: { fields: GFS_CURRENT },
+      hourly: { fields: GFS_HOURLY },
+      units: IMPERIAL,
+      timezone,
+    })),
+    // WeatherAPI.com for accurate daily forecasts (14 days), and current/hourly
+    // when GFS fails; it's one upstream call either way
+    orNull(client(createWeatherApiClient, 'weatherapi').forecast(location, {
+      current: {}, hourly: {}, daily: {}, days: 14,
+    })),
+    // Canadian GEM model for snowfall data
+    orNull(client(createOpenMeteoClient, 'gem', 'gem').daily(location, GEM_DAILY, { days: 16, timezone })),
+    orNull(client(createOpenMeteoClient, 'air-quality', 'gfs').airQuality(location, AIR_QUALITY, { timezone })),
+  ]);
+
+  // Same upstream versions (or failures) give the same document
+  const etag = hashTag(VERSION, strategy, ...Object.keys(sources).sort().map((name) =>
+    `${name}:${sources[name].etag || sources[name].status}`));
+  setValidators(res, { etag });
+  if (notModified(req, { etag })) {
+    return res.status(304).end();
+  }
+
+  const blended = blendDaily({ nwsHourly, nwsDaily, weatherApi: weatherApi?.daily, gem }, strategy);
+  const current = gfs?.current || weatherApi?.current || null;
+  const hourly = gfs?.hourly || weatherApi?.hourly || null;
+
+  // Record every fallback taken. Outside NWS coverage going without NWS is
+  // the plan rather than a degradation, so those aren't listed.
+  const degraded = [];
+  for (const part of ['current', 'hourly']) {
+    const used = part === 'current' ? current : hourly;
+    if (!gfs?.[part]) degraded.push(degradation(part, 'gfs', used?.source ?? null));
+  }
+  for (const { source, using } of blended?.fallbacks ?? []) {
+    if (point || !source.startsWith('nws-')) degraded.push(degradation('daily', source, using));
+  }
+  if (!blended) {
+    for (const source of ['nws-hourly', 'weatherapi', 'gem']) {
+      if (point || source !== 'nws-hourly') degraded.push(degradation('daily', source, null));
+    }
+  }
+  if (!alerts) degraded.push(degradation('alerts', alertsClient.id === 'nws' ? 'nws-alerts' : 'weatherapi-alerts', null));
+  if (!airQuality) degraded.push(degradation('airQuality', 'air-quality', null));
+
+  const timeZone = point?.timeZone || hourly?.timezone || weatherApi?.daily?.timezone || null;
+  const nws = point
+    ? { gridId: point.gridId, gridX: point.gridX, gridY: point.gridY, timeZone: point.timeZone }
+    : null;
+
+  return res.status(200).json({
+    version: VERSION,
+    generatedAt: new Date().toISOString(),
+    location: { latitude: lat, longitude: lon, timeZone, nws },
+    current: current?.data ?? null,
+    current_units: current?.units ?? null,
+    hourly: hourly?.data ?? null,
+    hourly_units: hourly?.units ?? null,
+    daily: blended?.daily ?? null,
+    daily_units: blended?.units ?? null,
+    strategy,
+    alerts: alerts ?? [],
+    airQuality: airQuality ? { current: airQuality.data, current_units: airQuality.units } : null,
+    provenance: {
+      current: current?.source ?? null,
+      hourly: hourly?.source ?? null,
+      daily: blended?.provenance ?? null,
+      alerts: alerts ? alertsClient.id : null,
+      airQuality: airQuality ? 'air-quality' : null,
+    },
+    unavailable,
+    degraded,
+    sources,
+  });
+}
@@ -0,0 +1,17 @@
+import { methodNotAllowed } from './_lib/errors.js';
+import { INTERVAL_SECONDS, healthReport } from './_lib/health.js';
+
+// Status of every upstream provider, from server-side probes (see _lib/health.js):
+//   { checkedAt, intervalSeconds, providers: { <id>: {
+//       status: online | degraded | offline | unknown,
+//       latencyMs, lastCheckedAt, lastSuccessAt, errorRate, lastError,
+//       history: [{ at, ok, latencyMs }] } } }
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return methodNotAllowed(req, res);
+  }
+  const report = await healthReport();
+  // Let the CDN share one report between all browsers for most of an interval
+  res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${Math.floor(INTERVAL_SECONDS / 2)}, stale-while-revalidate=${INTERVAL_SECONDS}`);
+  return res.status(200).json(report);
+}
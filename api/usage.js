@@ -0,0 +1,13 @@
+import { methodNotAllowed } from './_lib/errors.js';
+import { UPSTREAMS } from './_lib/upstreams.js';
+import { usageReport } from './_lib/usage.js';
+
+// Upstream call counts per endpoint per day, and where each metered upstream
+// stands against its daily quota (for the warm instance that answers).
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return methodNotAllowed(req, res);
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(usageReport(UPSTREAMS));
+}
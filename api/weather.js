@@ -1,46 +1,58 @@
+import { planBatch, runBatch } from './_lib/batch.js';
+import { notModified, setValidators } from './_lib/conditional.js';
+import { methodNotAllowed, requestId, sendError } from './_lib/errors.js';
+import { fetchUpstream } from './_lib/proxy.js';
+import { checkRateLimit } from './_lib/rateLimit.js';
+
+// Server-side proxy for every weather provider the app uses.
+//   /api/weather?upstream=nws&endpoint=points/40.68,-80.11
+//   /api/weather?upstream=open-meteo&endpoint=gfs&latitude=40.68&longitude=-80.11&...
+// `upstream` defaults to WeatherAPI.com so existing `?endpoint=forecast.json` calls keep working.
+// POST runs a batch of calls for several locations (see _lib/batch.js).
+// Failures use the error envelope described in _lib/errors.js.
 export default async function handler(req, res) {
-  // Only allow GET requests
-  if (req.method !== 'GET' && req.method !== 'HEAD') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'POST') {
+    return methodNotAllowed(req, res);
   }
 
-  const apiKey = process.env.WEATHERAPI_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'API key not configured' });
-  }
-
-  const { endpoint, ...params } = req.query;
+  res.setHeader('X-Request-Id', requestId(req));
 
-  // Whitelist allowed endpoints to prevent abuse
-  const allowedEndpoints = ['current.json', 'forecast.json', 'search.json', 'astronomy.json'];
-  if (!endpoint || !allowedEndpoints.includes(endpoint)) {
-    return res.status(400).json({ error: 'Invalid or missing endpoint parameter' });
+  if (req.method === 'POST') {
+    return handleBatch(req, res);
   }
 
-  try {
-    const url = new URL(`https://api.weatherapi.com/v1/${endpoint}`);
-    url.searchParams.set('key', apiKey);
-    for (const [k, v] of Object.entries(params)) {
-      url.searchParams.set(k, String(v));
-    }
+  if (!checkRateLimit(req, res)) return;
 
-    const fetchOptions = {
-      method: req.method,
-      headers: {
-        'Accept': 'application/json',
-      },
-    };
+  const { upstream: upstreamId = 'weatherapi', endpoint, ...query } = req.query;
 
-    const response = await fetch(url.toString(), fetchOptions);
+  try {
+    const result = await fetchUpstream(upstreamId, endpoint, query, { method: req.method });
 
-    // For HEAD requests, just return the status
+    res.setHeader('X-Cache', result.cache);
+    if (result.age !== undefined) res.setHeader('Age', String(result.age));
     if (req.method === 'HEAD') {
-      return res.status(response.status).end();
+      return res.status(result.status).end();
+    }
+    setValidators(res, result);
+    if (notModified(req, result)) {
+      return res.status(304).end();
     }
+    return res.status(result.status).json(result.data);
+  } catch (error) {
+    return sendError(req, res, error);
+  }
+}
 
-    const data = await response.json();
-    return res.status(response.status).json(data);
+async function handleBatch(req, res) {
+  let batch;
+  try {
+    batch = planBatch(req.body);
   } catch (error) {
-    return res.status(502).json({ error: 'Failed to fetch from weather API' });
+    return sendError(req, res, error);
   }
+
+  if (!checkRateLimit(req, res, batch.calls.size)) return;
+
+  // Per-item failures are reported inside the results, so the batch itself succeeds
+  return res.status(200).json(await runBatch(req, batch));
 }
@@ -37,6 +37,7 @@ self.addEventListener('fetch', (event) => {
   // Skip API requests - always fetch fresh
   const url = new URL(event.request.url);
   if (
+    url.pathname.startsWith('/api/') ||
     url.hostname.includes('api.weather.gov') ||
     url.hostname.includes('open-meteo.com') ||
     url.hostname.includes('rainviewer.com') ||
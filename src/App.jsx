@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useMemo, useRef, Fragment } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore, Fragment } from 'react'
 import {
   SignedIn,
   SignedOut,
@@ -17,6 +17,15 @@ import {
   Cloud,
   CloudSnow,
   CloudLightning,
+  CloudDrizzle,
+  CloudFog,
+  CloudHail,
+  CloudSun,
+  CloudMoon,
+  CloudSunRain,
+  CloudMoonRain,
+  Moon,
+  ThermometerSnowflake,
   AlertTriangle,
   ExternalLink,
   RefreshCw,
@@ -36,9 +45,52 @@ import {
   Navigation,
   Snowflake,
   LogIn,
+  Target,
+  Star,
+  Plus,
+  Pencil,
+  X,
+  ChevronUp,
+  ChevronDown,
+  Columns3,
 } from 'lucide-react'
 import { MapContainer, TileLayer, useMap, GeoJSON, Popup } from 'react-leaflet'
 import 'leaflet/dist/leaflet.css'
+import { fetchBatch, fetchRevalidated, isAbort, providers, providersFor, proxyUrl } from './lib/api.js'
+import { IMPERIAL } from './lib/providers/index.js'
+import { maxMerge } from './lib/blend.js'
+import {
+  alignHours,
+  COMPARISON_DAYS,
+  conditionSeverity,
+  loadComparison,
+  MAX_COMPARED,
+  precipitationStart,
+  upcomingHours,
+  worstAlert,
+} from './lib/comparison.js'
+import { classifyNwsCondition, describeCondition, precipitationKind } from './lib/conditions.js'
+import { locationKey } from './lib/db.js'
+import { correctedDays, correctHourly, CORRECTION_DAYS, estimateBias } from './lib/correction.js'
+import { describeSource, sourceLabel } from './lib/sources.js'
+import { DEFAULT_STRATEGY, STRATEGIES } from './lib/strategies.js'
+import {
+  accountSavedLocations,
+  addLocation,
+  isSaved,
+  loadSavedLocations,
+  MAX_SAVED_LOCATIONS,
+  moveLocation,
+  ownedBy,
+  removeLocation,
+  renameLocation,
+  saveToAccount,
+  storeSavedLocations,
+} from './lib/savedLocations.js'
+import { DATASETS, nextRefresh, refreshNow, schedule, subscribe } from './lib/scheduler.js'
+import { loadSnapshot, saveSnapshot } from './lib/snapshots.js'
+import { archiveForecasts, collectObservations, scoreForecasts, VERIFIED_SOURCES } from './lib/verification.js'
+import { formatInstant, formatLocal, localHour, localNow, localWeekday, timeAgo, zoneLabel } from './lib/time.js'
 
 // Hook to detect user's color scheme preference
 function useColorScheme() {
@@ -68,7 +120,6 @@ const DEFAULT_LOCATION = {
   state: 'PA',
 }
 
-
 const WEATHER_LINKS = {
   'Model Data': [
     { name: 'NWS Models Page', url: 'https://www.weather.gov/rnk/models' },
@@ -96,13 +147,10 @@ const WEATHER_LINKS = {
   ],
 }
 
-function getWeatherIcon(forecast) {
-  const lower = forecast?.toLowerCase() || ''
-  if (lower.includes('thunder') || lower.includes('lightning')) return CloudLightning
-  if (lower.includes('snow') || lower.includes('flurr')) return CloudSnow
-  if (lower.includes('rain') || lower.includes('shower') || lower.includes('drizzle')) return CloudRain
-  if (lower.includes('cloud') || lower.includes('overcast')) return Cloud
-  return Sun
+// Icon for an NWS forecast period, from its icon code and text
+function getWeatherIcon(period) {
+  const condition = classifyNwsCondition(period)
+  return getWeatherIconFromCode(condition.code, condition.isDay, condition)
 }
 
 function LoadingSpinner() {
@@ -121,6 +169,93 @@ function Card({ children, className = '' }) {
   )
 }
 
+// Fallbacks the server took for one part of the forecast, shown next to its
+// card: "Degraded: NWS hourly unavailable, using GEM"
+function DegradedNote({ notes }) {
+  if (!notes?.length) return null
+  return (
+    <div className="mb-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-amber-600 dark:text-amber-400">
+      {notes.map((note) => (
+        <span key={`${note.part}:${note.source}`} className="flex items-center gap-1">
+          <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0" />
+          Degraded: {note.message}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// When a dataset next refreshes (epoch ms), or null when nothing on the page uses it
+function useNextRefresh(dataset) {
+  return useSyncExternalStore(subscribe, () => nextRefresh(dataset))
+}
+
+// The page's refresh schedule, one line per dataset something on the page uses
+function RefreshSchedule({ timeZone }) {
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-500 dark:text-slate-400">
+      {Object.keys(DATASETS).map((dataset) => (
+        <NextRefresh key={dataset} dataset={dataset} timeZone={timeZone} />
+      ))}
+    </div>
+  )
+}
+
+function NextRefresh({ dataset, timeZone }) {
+  const next = useNextRefresh(dataset)
+  if (next === null) return null
+  return (
+    <span>
+      {DATASETS[dataset].label}: next {formatInstant(next, timeZone, { hour: 'numeric', minute: '2-digit' })}
+    </span>
+  )
+}
+
+// How old the forecast on screen is. `updated` is { at, fromSnapshot }; a
+// snapshot from the last session says so while its refresh is under way.
+function UpdatedStamp({ updated, loading, timeZone }) {
+  const [now, setNow] = useState(() => Date.now())
+  const next = useNextRefresh('forecast')
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  if (!updated?.at) return null
+  return (
+    <div className="mb-2 flex items-center justify-end gap-1.5 text-xs text-slate-400" title={new Date(updated.at).toLocaleString()}>
+      {loading && <RefreshCw className="w-3 h-3 animate-spin" />}
+      Updated {timeAgo(updated.at, Math.max(now, Date.parse(updated.at)))}
+      {updated.fromSnapshot && (loading ? ' - refreshing' : ' - saved forecast, refresh failed')}
+      {!loading && next !== null && ` - next ${formatInstant(next, timeZone, { hour: 'numeric', minute: '2-digit' })}`}
+    </div>
+  )
+}
+
+// A forecast value that tells where it came from on hover, or on tap where
+// there's no hover. `source` is its provenance entry, `degraded` the fallbacks
+// taken for its part of the forecast.
+function Sourced({ source, degraded, children }) {
+  const [open, setOpen] = useState(false)
+  const description = describeSource(source, degraded)
+  if (!description) return children
+  return (
+    <span
+      className="relative group cursor-help"
+      onClick={() => setOpen(!open)}
+      onMouseLeave={() => setOpen(false)}
+    >
+      {children}
+      <span className={`absolute z-20 bottom-full left-1/2 -translate-x-1/2 mb-1 w-max max-w-48 rounded-md bg-slate-800 dark:bg-slate-900 px-2 py-1 text-[11px] leading-snug font-normal normal-case text-white text-center shadow-lg pointer-events-none ${
+        open ? 'block' : 'hidden group-hover:block'
+      }`}>
+        {description}
+      </span>
+    </span>
+  )
+}
+
 function TabButton({ active, onClick, children }) {
   return (
     <button
@@ -312,8 +447,10 @@ const getWeatherDescription = (code) => {
     1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast',
     45: 'Foggy', 48: 'Depositing rime fog',
     51: 'Light drizzle', 53: 'Moderate drizzle', 55: 'Dense drizzle',
+    56: 'Light freezing drizzle', 57: 'Dense freezing drizzle',
     61: 'Slight rain', 63: 'Moderate rain', 65: 'Heavy rain',
     66: 'Light freezing rain', 67: 'Heavy freezing rain',
+    68: 'Light rain and snow', 69: 'Heavy rain and snow',
     71: 'Slight snow', 73: 'Moderate snow', 75: 'Heavy snow',
     77: 'Snow grains',
     80: 'Slight rain showers', 81: 'Moderate rain showers', 82: 'Violent rain showers',
@@ -323,228 +460,26 @@ const getWeatherDescription = (code) => {
   return descriptions[code] || 'Unknown'
 }
 
-const getWeatherIconFromCode = (code) => {
-  if ([71, 73, 75, 77, 85, 86].includes(code)) return CloudSnow
-  if ([61, 63, 65, 66, 67, 80, 81, 82].includes(code)) return CloudRain
-  if ([95, 96, 99].includes(code)) return CloudLightning
-  if ([2, 3, 45, 48].includes(code)) return Cloud
-  return Sun
-}
-
-// Map NWS shortForecast text to WMO weather codes
-const nwsTextToWmoCode = (text) => {
-  const lower = text.toLowerCase()
-  // Snow conditions
-  if (lower.includes('blizzard') || lower.includes('heavy snow')) return 75
-  if (lower.includes('snow shower')) return 85
-  if (lower.includes('snow')) return 71
-  if (lower.includes('flurr')) return 77
-  // Rain/precipitation
-  if (lower.includes('thunderstorm') || lower.includes('t-storm')) return 95
-  if (lower.includes('heavy rain') || lower.includes('downpour')) return 65
-  if (lower.includes('rain shower') || lower.includes('showers')) return 80
-  if (lower.includes('drizzle')) return 51
-  if (lower.includes('rain')) return 61
-  if (lower.includes('sleet') || lower.includes('freezing rain')) return 66
-  // Mixed
-  if (lower.includes('wintry mix')) return 66
-  // Fog
-  if (lower.includes('fog')) return 45
-  // Cloud conditions
-  if (lower.includes('overcast') || lower.includes('cloudy')) return 3
-  if (lower.includes('mostly cloudy')) return 3
-  if (lower.includes('partly cloudy') || lower.includes('partly sunny')) return 2
-  if (lower.includes('mostly sunny') || lower.includes('mostly clear')) return 1
-  // Clear
-  if (lower.includes('sunny') || lower.includes('clear')) return 0
-  // Default to partly cloudy
-  return 2
-}
-
-// Calculate daily min/max from NWS hourly data using METEOROLOGICAL DAY (6 AM to 6 AM)
-// This matches how weather services like wunderground report daily temps
-const calculateMeteorologicalDay = (hourlyPeriods) => {
-  // Group temps by meteorological day (6 AM to 6 AM next day)
-  // The "date" of a meteorological day is the date of the daytime portion
-  const meteoData = new Map()
-
-  for (const period of hourlyPeriods) {
-    const dt = new Date(period.startTime)
-    const hour = dt.getHours()
-
-    // Determine which meteorological day this hour belongs to
-    // Hours 0-5 belong to previous day's meteorological day (overnight low)
-    // Hours 6-23 belong to current day's meteorological day
-    let meteoDate = new Date(dt)
-    if (hour < 6) {
-      meteoDate.setDate(meteoDate.getDate() - 1)
-    }
-    const dateStr = meteoDate.toISOString().split('T')[0]
-
-    if (!meteoData.has(dateStr)) {
-      meteoData.set(dateStr, {
-        temps: [],
-        dayTemps: [],  // 6 AM to 6 PM for high
-        nightTemps: [], // 6 PM to 6 AM for low
-        forecasts: []
-      })
-    }
-
-    const day = meteoData.get(dateStr)
-    day.temps.push(period.temperature)
-
-    // Separate day vs night temps
-    if (hour >= 6 && hour < 18) {
-      day.dayTemps.push(period.temperature)
-    } else {
-      day.nightTemps.push(period.temperature)
-    }
-
-    if (period.shortForecast) {
-      day.forecasts.push(period.shortForecast)
-    }
-  }
-
-  const result = { time: [], high: [], low: [], code: [] }
-  const sortedDates = Array.from(meteoData.keys()).sort()
-
-  for (const dateStr of sortedDates) {
-    const day = meteoData.get(dateStr)
-    // Need at least 12 hours of data for a reasonable estimate
-    if (day.temps.length >= 12) {
-      result.time.push(dateStr)
-      // High from daytime temps (or all temps if not enough daytime data)
-      const high = day.dayTemps.length >= 6 ? Math.max(...day.dayTemps) : Math.max(...day.temps)
-      // Low from night temps (or all temps if not enough night data)
-      const low = day.nightTemps.length >= 6 ? Math.min(...day.nightTemps) : Math.min(...day.temps)
-      result.high.push(high)
-      result.low.push(low)
-      // Use midday forecast for weather code
-      const forecast = day.forecasts[Math.floor(day.forecasts.length / 2)] || 'Partly Cloudy'
-      result.code.push(nwsTextToWmoCode(forecast))
-    }
-  }
-
-  return result
-}
-
-// Blend NWS forecast periods with NWS raw gridpoints data and GEM extended forecast
-const blendDailyForecasts = (nwsPeriods, nwsRawTemps, gemDaily, gemSnowfall) => {
-  const result = {
-    time: [],
-    weather_code: [],
-    temperature_2m_max: [],
-    temperature_2m_min: [],
-    snowfall_sum: [],
-    precipitation_sum: [],
-    precipitation_probability_max: [],
-    sunrise: [],
-    sunset: [],
-    uv_index_max: [],
-  }
-
-  // Process NWS 12-hour periods to get daily high/low
-  // NWS periods alternate: daytime (high), overnight (low for next morning)
-  // We pair each daytime period with the FOLLOWING overnight period
-  const nwsDays = []
-  if (nwsPeriods) {
-    for (let i = 0; i < nwsPeriods.length; i++) {
-      const period = nwsPeriods[i]
-      if (period.isDaytime) {
-        const dateStr = period.startTime.split('T')[0]
-        const nextPeriod = nwsPeriods[i + 1]
-        // The overnight low follows this daytime high
-        const low = nextPeriod && !nextPeriod.isDaytime ? nextPeriod.temperature : null
-        nwsDays.push({
-          date: dateStr,
-          high: period.temperature,
-          low: low,
-          code: nwsTextToWmoCode(period.shortForecast),
-          precip: period.probabilityOfPrecipitation?.value || 0,
-          name: period.name
-        })
-      }
-    }
-  }
-
-  // Build a map of GEM data by date for extended forecast
-  const gemByDate = new Map()
-  if (gemDaily?.time) {
-    for (let i = 0; i < gemDaily.time.length; i++) {
-      gemByDate.set(gemDaily.time[i], {
-        high: Math.round(gemDaily.temperature_2m_max?.[i] ?? 50),
-        low: Math.round(gemDaily.temperature_2m_min?.[i] ?? 40),
-        code: gemDaily.weather_code?.[i] ?? 2,
-        precip_prob: gemDaily.precipitation_probability_max?.[i] ?? 0,
-        precip_sum: gemDaily.precipitation_sum?.[i] ?? 0,
-        snowfall: gemDaily.snowfall_sum?.[i] ?? 0,
-        sunrise: gemDaily.sunrise?.[i] ?? null,
-        sunset: gemDaily.sunset?.[i] ?? null,
-        uv: gemDaily.uv_index_max?.[i] ?? null,
-      })
-    }
-  }
-
-  // Use NWS period data, filling missing lows from NWS raw gridpoints data
-  for (const day of nwsDays) {
-    if (day.high !== null) {
-      const gem = gemByDate.get(day.date)
-      const rawNws = nwsRawTemps?.[day.date]
-      result.time.push(day.date)
-      result.weather_code.push(day.code ?? 2)
-      result.temperature_2m_max.push(day.high)
-      // Priority for low: 1) NWS period low, 2) NWS raw gridpoints low, 3) GEM low
-      if (day.low !== null) {
-        result.temperature_2m_min.push(day.low)
-      } else if (rawNws?.low !== undefined) {
-        result.temperature_2m_min.push(rawNws.low)
-      } else {
-        result.temperature_2m_min.push(gem?.low ?? day.high - 15)
-      }
-      result.precipitation_probability_max.push(day.precip ?? 0)
-      result.precipitation_sum.push(0)
-      result.snowfall_sum.push(0)
-      result.sunrise.push(gem?.sunrise ?? null)
-      result.sunset.push(gem?.sunset ?? null)
-      result.uv_index_max.push(gem?.uv ?? null)
-    }
-  }
-
-  // Add GEM data for days beyond NWS coverage
-  const nwsEndDate = result.time[result.time.length - 1] || ''
-  if (gemDaily?.time) {
-    for (let i = 0; i < gemDaily.time.length; i++) {
-      const dateStr = gemDaily.time[i]
-      // Skip dates already covered by NWS
-      if (dateStr <= nwsEndDate) continue
-
-      const gem = gemByDate.get(dateStr)
-      result.time.push(dateStr)
-      result.weather_code.push(gem?.code ?? 2)
-      result.temperature_2m_max.push(gem?.high ?? 50)
-      result.temperature_2m_min.push(gem?.low ?? 40)
-      result.precipitation_probability_max.push(gem?.precip_prob ?? 0)
-      result.precipitation_sum.push(gem?.precip_sum ?? 0)
-      result.snowfall_sum.push(gem?.snowfall ?? 0)
-      result.sunrise.push(gem?.sunrise ?? null)
-      result.sunset.push(gem?.sunset ?? null)
-      result.uv_index_max.push(gem?.uv ?? null)
-    }
-  }
-
-  // Merge GEM snowfall data (use max of GEM vs existing)
-  if (gemSnowfall?.daily?.snowfall_sum) {
-    const gemTimes = gemSnowfall.daily.time || []
-    for (let i = 0; i < result.time.length; i++) {
-      const gemIdx = gemTimes.indexOf(result.time[i])
-      if (gemIdx !== -1) {
-        const gemSnow = gemSnowfall.daily.snowfall_sum[gemIdx] || 0
-        result.snowfall_sum[i] = Math.max(result.snowfall_sum[i], gemSnow)
-      }
-    }
-  }
-
-  return { daily: result }
+// Label for a day or hour: the NWS condition's when there is one, which says
+// how likely and how widespread, else the WMO code's
+const describeWeather = (code, condition) => (condition && describeCondition(condition)) || getWeatherDescription(code)
+
+// Icon for a WMO code; night versions where the sun would show. An NWS
+// condition (src/lib/conditions.js) tells apart what one code covers:
+// mostly cloudy from overcast, and sleet from freezing rain.
+const getWeatherIconFromCode = (code, isDay = true, condition = null) => {
+  const kind = precipitationKind(code)
+  if (kind === 'thunderstorm') return CloudLightning
+  if (condition?.precipitation === 'sleet') return CloudHail
+  if (kind === 'snow') return CloudSnow
+  if (kind === 'ice') return ThermometerSnowflake
+  if ([51, 53, 55].includes(code)) return CloudDrizzle
+  if ([80, 81, 82].includes(code)) return isDay ? CloudSunRain : CloudMoonRain
+  if (kind === 'rain') return CloudRain
+  if ([45, 48].includes(code)) return CloudFog
+  if (code === 3 && condition?.sky !== 'mostly-cloudy') return Cloud
+  if (code === 1 || code === 2 || code === 3) return isDay ? CloudSun : CloudMoon
+  return isDay ? Sun : Moon
 }
 
 // AQI level descriptions and colors
@@ -567,7 +502,7 @@ const getUvLevel = (uv) => {
 }
 
 function ConditionsCard({ modelData, dailyForecast, airQuality }) {
-  if (!modelData || !dailyForecast) return null
+  if (!modelData?.current || !dailyForecast) return null
 
   const current = modelData.current
   const dailyCurrent = dailyForecast.current
@@ -581,8 +516,10 @@ function ConditionsCard({ modelData, dailyForecast, airQuality }) {
 
   const sunrise = daily?.sunrise?.[0]
   const sunset = daily?.sunset?.[0]
-  const sunriseTime = sunrise ? new Date(sunrise).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '--'
-  const sunsetTime = sunset ? new Date(sunset).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '--'
+  // Sun times are the location's clock, labelled with its zone
+  const zone = zoneLabel(dailyForecast.timeZone)
+  const sunriseTime = sunrise ? `${formatLocal(sunrise, { hour: 'numeric', minute: '2-digit' })} ${zone}`.trim() : '--'
+  const sunsetTime = sunset ? `${formatLocal(sunset, { hour: 'numeric', minute: '2-digit' })} ${zone}`.trim() : '--'
 
   const visibility = dailyCurrent?.visibility
   const visibilityMiles = visibility ? (visibility / 1609.34).toFixed(1) : '--'
@@ -790,7 +727,7 @@ function ZoomAnimator({ center, startZoom, endZoom, onZoomComplete }) {
   return null
 }
 
-function MiniRadar({ location }) {
+function MiniRadar({ location, timeZone }) {
   const [radarFrames, setRadarFrames] = useState([])
   const [currentFrame, setCurrentFrame] = useState(0)
   const [zoomComplete, setZoomComplete] = useState(false)
@@ -805,7 +742,7 @@ function MiniRadar({ location }) {
 
     const fetchRadar = async () => {
       try {
-        const res = await fetch('https://api.rainviewer.com/public/weather-maps.json')
+        const res = await fetch(proxyUrl('rainviewer', 'public/weather-maps.json'))
         const data = await res.json()
         const newFrames = (data.radar.past || []).concat(data.radar.nowcast || [])
 
@@ -843,9 +780,7 @@ function MiniRadar({ location }) {
         console.error('Failed to fetch radar:', err)
       }
     }
-    fetchRadar()
-    const interval = setInterval(fetchRadar, 5 * 60 * 1000)
-    return () => clearInterval(interval)
+    return schedule('radar', fetchRadar)
   }, [])
 
   // Auto-play animation (only starts after zoom-in completes)
@@ -861,12 +796,13 @@ function MiniRadar({ location }) {
     ? `https://tilecache.rainviewer.com${radarFrames[currentFrame].path}/256/{z}/{x}/{y}/4/1_1.png`
     : null
 
+  // Frame times in the location's zone, like the rest of the dashboard
   const frameTime = radarFrames[currentFrame]
-    ? new Date(radarFrames[currentFrame].time * 1000).toLocaleTimeString('en-US', {
+    ? `${formatInstant(radarFrames[currentFrame].time * 1000, timeZone, {
         hour: 'numeric',
         minute: '2-digit',
         hour12: true,
-      })
+      })} ${zoneLabel(timeZone)}`.trim()
     : ''
 
   // Calculate time range for display
@@ -1189,6 +1125,9 @@ function QuickStats({ modelData, dailyForecast, location }) {
   const current = modelData.current
   const daily = dailyForecast.daily
   const today = dailyForecast.current
+  // Where the figures below came from, for their hover/tap details
+  const dailySource = (field) => ({ source: dailyForecast.provenance?.[field]?.[0], degraded: dailyForecast.degraded })
+  const currentSource = { source: modelData.provenance?.current, degraded: modelData.degraded?.current }
 
   const high = Math.round(daily.temperature_2m_max[0])
   const low = Math.round(daily.temperature_2m_min[0])
@@ -1232,17 +1171,19 @@ function QuickStats({ modelData, dailyForecast, location }) {
           </div>
           <div className="flex items-start justify-between">
             <div>
-              <div className="text-5xl font-bold tracking-tight">{currentTemp}°</div>
+              <div className="text-5xl font-bold tracking-tight">
+                <Sourced {...currentSource}>{currentTemp}°</Sourced>
+              </div>
               <div className="text-white/80 text-sm mt-1">Feels like {feelsLike}° - {clothing.tip}</div>
             </div>
             <div className="text-right">
               <div className="flex items-center gap-2 text-sm">
                 <TrendingUp className="w-4 h-4" />
-                <span className="font-bold">{high}°</span>
+                <Sourced {...dailySource('temperature_2m_max')}><span className="font-bold">{high}°</span></Sourced>
               </div>
               <div className="flex items-center gap-2 text-sm text-white/80">
                 <TrendingUp className="w-4 h-4 rotate-180" />
-                <span>{low}°</span>
+                <Sourced {...dailySource('temperature_2m_min')}><span>{low}°</span></Sourced>
               </div>
             </div>
           </div>
@@ -1279,7 +1220,9 @@ function QuickStats({ modelData, dailyForecast, location }) {
             </div>
             <div>
               <div className="text-xs text-slate-500 dark:text-slate-400">Precip</div>
-              <div className="font-bold text-slate-800 dark:text-white">{precip}%</div>
+              <div className="font-bold text-slate-800 dark:text-white">
+                <Sourced {...dailySource('precipitation_probability_max')}>{precip}%</Sourced>
+              </div>
             </div>
           </div>
 
@@ -1300,21 +1243,31 @@ function QuickStats({ modelData, dailyForecast, location }) {
 }
 
 // Compact Hourly Forecast Strip
-function HourlyStrip({ modelData, dailyForecast }) {
+// `correction` is null when local bias correction is off, otherwise
+// { bias } with the per-hour estimate (undefined while it's being made, null
+// when there isn't one)
+function HourlyStrip({ modelData, dailyForecast, correction, onToggleCorrection }) {
   const isDark = useColorScheme()
 
   if (!modelData?.hourly) return null
 
   const hourly = modelData.hourly
-  const now = new Date()
-  const currentHour = now.getHours()
+  // Hours are the location's clock, so "now" has to be too
+  const currentHour = localNow(modelData.timeZone).slice(0, 13)
+
+  // The bias is the GFS's, so a WeatherAPI.com fallback isn't corrected
+  const correctable = modelData.provenance?.hourly === 'gfs'
+  const corrected = correction?.bias && correctable ? correctHourly(hourly, correction.bias) : null
+  // Today's model high/low from the hourly temperatures, raw and corrected
+  const correctedToday = corrected ? correctedDays(hourly, correction.bias)[currentHour.slice(0, 10)] : null
+  const correctionStatus = !correction ? null
+    : !correctable ? 'GFS hours only'
+    : correction.bias === undefined ? 'Estimating...'
+    : correction.bias === null ? 'No nearby station data'
+    : `From ${CORRECTION_DAYS} days of station data`
 
   // Find the starting index for current hour
-  const startIdx = hourly.time.findIndex(t => {
-    const hour = new Date(t).getHours()
-    const date = new Date(t).toDateString()
-    return hour >= currentHour && date === now.toDateString()
-  }) || 0
+  const startIdx = Math.max(hourly.time.findIndex(t => t.slice(0, 13) >= currentHour), 0)
 
   // Get next 24 hours
   const hours = hourly.time.slice(startIdx, startIdx + 24)
@@ -1345,38 +1298,62 @@ function HourlyStrip({ modelData, dailyForecast }) {
         <h3 className="text-slate-800 dark:text-slate-200 font-bold flex items-center gap-2">
           <Clock className="w-4 h-4 text-blue-500" />
           Next 24 Hours
+          {modelData.timeZone && (
+            <span className="text-xs font-normal text-slate-400">{zoneLabel(modelData.timeZone)}</span>
+          )}
         </h3>
-        {todayHigh !== undefined && todayLow !== undefined && (
-          <div className="flex items-center gap-3 text-sm">
-            <span className="flex items-center gap-1">
-              <span className="w-2 h-2 rounded-full bg-rose-500"></span>
-              <span className="text-rose-500 font-bold">{Math.round(todayHigh)}°</span>
-            </span>
-            <span className="flex items-center gap-1">
-              <span className="w-2 h-2 rounded-full bg-blue-500"></span>
-              <span className="text-blue-500 font-bold">{Math.round(todayLow)}°</span>
+        <div className="flex items-center gap-3 text-sm">
+          <button
+            onClick={onToggleCorrection}
+            title="Correct model temperatures by how far they have been off from the nearest station, per hour of the day"
+            className={`px-2 py-1 rounded-lg text-xs font-medium border ${
+              correction
+                ? 'bg-blue-500 border-blue-500 text-white'
+                : 'bg-slate-50 dark:bg-slate-700 border-blue-100 dark:border-slate-600 text-slate-600 dark:text-slate-300'
+            }`}
+          >
+            Local correction
+          </button>
+          {correctionStatus && (
+            <span className="hidden sm:inline text-xs text-slate-400">{correctionStatus}</span>
+          )}
+          {correctedToday && (
+            <span className="text-xs text-slate-500 dark:text-slate-400" title="Today's model high/low, raw and corrected">
+              Model {Math.round(correctedToday.raw.high)}°/{Math.round(correctedToday.raw.low)}° →{' '}
+              <span className="font-bold">{Math.round(correctedToday.corrected.high)}°/{Math.round(correctedToday.corrected.low)}°</span>
             </span>
-          </div>
-        )}
+          )}
+          {todayHigh !== undefined && todayLow !== undefined && (
+            <>
+              <span className="flex items-center gap-1">
+                <span className="w-2 h-2 rounded-full bg-rose-500"></span>
+                <span className="text-rose-500 font-bold">{Math.round(todayHigh)}°</span>
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="w-2 h-2 rounded-full bg-blue-500"></span>
+                <span className="text-blue-500 font-bold">{Math.round(todayLow)}°</span>
+              </span>
+            </>
+          )}
+        </div>
       </div>
       <div className="overflow-x-auto scrollbar-thin">
         <div className="flex" style={{ minWidth: 'max-content' }}>
           {hours.map((timeStr, i) => {
             const idx = startIdx + i
-            const time = new Date(timeStr)
-            const hour = time.getHours()
+            const hour = localHour(timeStr)
             const isNow = i === 0
-            const temp = Math.round(hourly.temperature_2m[idx])
+            const rawTemp = Math.round(hourly.temperature_2m[idx])
+            const temp = corrected ? Math.round(corrected.temperature_2m[idx]) : rawTemp
             const weatherCode = hourly.weather_code[idx]
-            const Icon = getWeatherIconFromCode(weatherCode)
-            const precipProb = hourly.precipitation_probability[idx]
-            const precipitation = hourly.precipitation?.[idx] || 0 // mm
-            const snowfall = hourly.snowfall?.[idx] || 0 // cm
-            const snowInches = snowfall / 2.54 // convert to inches
-            const rainInches = precipitation / 25.4 // convert to inches
-            const isSnowy = [71, 73, 75, 77, 85, 86].includes(weatherCode)
-            const isRainy = [51, 53, 55, 61, 63, 65, 80, 81, 82].includes(weatherCode)
             const isNight = hour < 6 || hour >= 20
+            const Icon = getWeatherIconFromCode(weatherCode, !isNight)
+            const precipProb = hourly.precipitation_probability[idx]
+            const rainInches = hourly.precipitation?.[idx] || 0
+            const snowInches = hourly.snowfall?.[idx] || 0
+            const kind = precipitationKind(weatherCode)
+            const isSnowy = kind === 'snow'
+            const isRainy = kind !== null && !isSnowy
 
             return (
               <div
@@ -1408,9 +1385,14 @@ function HourlyStrip({ modelData, dailyForecast }) {
                 </div>
 
                 {/* Temperature pill */}
-                <div className={`bg-gradient-to-r ${getTempColor(temp)} text-white text-sm font-bold px-2.5 py-1 rounded-full shadow-sm`}>
-                  {temp}°
-                </div>
+                <Sourced source={modelData.provenance?.hourly} degraded={modelData.degraded?.hourly}>
+                  <div className={`bg-gradient-to-r ${getTempColor(temp)} text-white text-sm font-bold px-2.5 py-1 rounded-full shadow-sm`}>
+                    {temp}°
+                  </div>
+                </Sourced>
+                {corrected && (
+                  <div className="text-[10px] text-slate-400 mt-0.5" title="Uncorrected model temperature">raw {rawTemp}°</div>
+                )}
 
                 {/* Snowfall */}
                 {snowInches >= 0.1 && (
@@ -1452,38 +1434,31 @@ function StormModelComparison({ location }) {
   const [days, setDays] = useState(7) // 3, 5, 7, 10 days
 
   useEffect(() => {
+    // Cancelled when the location or range changes, so a slow answer for the
+    // old one can't overwrite the new one
+    const controller = new AbortController()
+    const models = providersFor(controller.signal)
     const fetchModels = async () => {
       setLoading(true)
       try {
-        const [gfsRes, gemRes, ecmwfRes] = await Promise.all([
-          fetch(
-            `https://api.open-meteo.com/v1/gfs?latitude=${location.lat}&longitude=${location.lon}` +
-            `&daily=snowfall_sum,precipitation_sum,rain_sum,temperature_2m_max,temperature_2m_min` +
-            `&timezone=America/New_York&forecast_days=${Math.min(days, 16)}`
-          ),
-          fetch(
-            `https://api.open-meteo.com/v1/gem?latitude=${location.lat}&longitude=${location.lon}` +
-            `&daily=snowfall_sum,precipitation_sum,rain_sum,temperature_2m_max,temperature_2m_min` +
-            `&timezone=America/New_York&forecast_days=${Math.min(days, 16)}`
-          ),
-          fetch(
-            `https://api.open-meteo.com/v1/ecmwf?latitude=${location.lat}&longitude=${location.lon}` +
-            `&daily=precipitation_sum,temperature_2m_max,temperature_2m_min` +
-            `&timezone=America/New_York&forecast_days=${Math.min(days, 10)}`
-          )
+        const point = { lat: location.lat, lon: location.lon }
+        const fields = ['snowfall_sum', 'precipitation_sum', 'rain_sum', 'temperature_2m_max', 'temperature_2m_min']
+        // A model that fails is left out of the comparison
+        const [gfs, gem, ecmwf] = await Promise.all([
+          models.gfs.daily(point, fields, { days: Math.min(days, 16) }).catch(() => null),
+          models.gem.daily(point, fields, { days: Math.min(days, 16) }).catch(() => null),
+          models.ecmwf.daily(point, ['precipitation_sum', 'temperature_2m_max', 'temperature_2m_min'],
+            { days: Math.min(days, 10) }).catch(() => null),
         ])
-
-        const data = {}
-        if (gfsRes.ok) data.gfs = await gfsRes.json()
-        if (gemRes.ok) data.gem = await gemRes.json()
-        if (ecmwfRes.ok) data.ecmwf = await ecmwfRes.json()
-        setModelData(data)
+        if (controller.signal.aborted) return
+        setModelData({ gfs, gem, ecmwf })
       } catch (err) {
         console.error('Failed to fetch model data:', err)
       }
       setLoading(false)
     }
     fetchModels()
+    return () => controller.abort()
   }, [location.lat, location.lon, days])
 
   if (loading) {
@@ -1502,10 +1477,8 @@ function StormModelComparison({ location }) {
   // Calculate totals for each model
   const calcTotals = (daily, daysCount) => {
     if (!daily) return { snow: 0, rain: 0, total: 0 }
-    const snowCm = daily.snowfall_sum?.slice(0, daysCount) || []
-    const rainMm = daily.rain_sum?.slice(0, daysCount) || []
-    const snow = snowCm.reduce((a, b) => a + (b || 0), 0) / 2.54 // cm to inches
-    const rain = rainMm.reduce((a, b) => a + (b || 0), 0) / 25.4 // mm to inches
+    const snow = (daily.snowfall_sum?.slice(0, daysCount) || []).reduce((a, b) => a + (b || 0), 0)
+    const rain = (daily.rain_sum?.slice(0, daysCount) || []).reduce((a, b) => a + (b || 0), 0)
     return {
       snow,
       rain,
@@ -1513,9 +1486,9 @@ function StormModelComparison({ location }) {
     }
   }
 
-  const gfsTotals = calcTotals(modelData.gfs?.daily, days)
-  const gemTotals = calcTotals(modelData.gem?.daily, days)
-  const ecmwfTotals = calcTotals(modelData.ecmwf?.daily, days)
+  const gfsTotals = calcTotals(modelData.gfs?.data, days)
+  const gemTotals = calcTotals(modelData.gem?.data, days)
+  const ecmwfTotals = calcTotals(modelData.ecmwf?.data, days)
 
   // Find max values for highlighting
   const maxSnow = Math.max(gfsTotals.snow, gemTotals.snow)
@@ -1656,7 +1629,7 @@ function WeatherBrief({ modelData, dailyForecast, airQuality, location }) {
     const todayLow = Math.round(daily.temperature_2m_min[0])
     const precipProb = daily.precipitation_probability_max[0] || 0
     const rainfall = daily.precipitation_sum[0] || 0
-    const snowfall = (daily.snowfall_sum[0] || 0) / 2.54
+    const snowfall = daily.snowfall_sum[0] || 0
     const aqi = airQuality?.current?.us_aqi
     const visibility = dailyForecast.current?.visibility
 
@@ -1680,9 +1653,10 @@ function WeatherBrief({ modelData, dailyForecast, airQuality, location }) {
     const bring = []
 
     // Precipitation
-    const isRaining = [51, 53, 55, 56, 57, 61, 63, 65, 80, 81, 82].includes(weatherCode)
-    const isSnowing = [71, 73, 75, 77, 85, 86].includes(weatherCode)
-    const isStormy = [95, 96, 99].includes(weatherCode)
+    const kind = precipitationKind(weatherCode)
+    const isRaining = kind === 'rain' || kind === 'ice'
+    const isSnowing = kind === 'snow'
+    const isStormy = kind === 'thunderstorm'
 
     if (isRaining || precipProb >= 50) {
       bring.push('Umbrella')
@@ -1825,25 +1799,40 @@ function WeatherBrief({ modelData, dailyForecast, airQuality, location }) {
 }
 
 // 10-Day Forecast Strip - Full Width with Large Icons
-function TenDayStrip({ dailyForecast }) {
+function TenDayStrip({ dailyForecast, strategy, onStrategyChange }) {
   const daily = dailyForecast.daily
+  const sourced = (field, i) => ({ source: dailyForecast.provenance?.[field]?.[i], degraded: dailyForecast.degraded })
 
   return (
     <Card className="mb-6 p-0 overflow-hidden">
-      <div className="px-5 py-4 border-b border-blue-100 dark:border-slate-700">
+      <div className="px-5 py-4 border-b border-blue-100 dark:border-slate-700 flex items-center justify-between gap-3">
         <h3 className="text-slate-800 dark:text-slate-200 font-bold flex items-center gap-2">
           <Calendar className="w-5 h-5 text-blue-500" />
           10-Day Forecast
         </h3>
+        {/* Blending strategy setting - the server rebuilds the days with it */}
+        <label className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400" title={STRATEGIES[strategy]?.description}>
+          <span className="hidden sm:inline">Blend</span>
+          <select
+            value={strategy}
+            onChange={(e) => onStrategyChange(e.target.value)}
+            className="px-2 py-1 rounded-lg bg-slate-50 dark:bg-slate-700 border border-blue-100 dark:border-slate-600 text-slate-700 dark:text-slate-200"
+          >
+            {Object.entries(STRATEGIES).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </label>
       </div>
       <div className="overflow-x-auto">
         <div className="flex sm:grid sm:grid-cols-10" style={{ minWidth: 'max-content' }}>
           {daily.time.slice(0, 10).map((dateStr, i) => {
             const date = new Date(dateStr + 'T00:00:00') // Parse as local time to avoid timezone shift
             const weatherCode = daily.weather_code[i]
-            const Icon = getWeatherIconFromCode(weatherCode)
-            const isSnowy = [71, 73, 75, 77, 85, 86].includes(weatherCode)
-            const snowfall = daily.snowfall_sum[i] / 2.54
+            const condition = daily.condition?.[i]
+            const Icon = getWeatherIconFromCode(weatherCode, true, condition)
+            const isSnowy = precipitationKind(weatherCode) === 'snow'
+            const snowfall = daily.snowfall_sum[i] || 0
             const dayName = i === 0 ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short' })
             const dayNum = date.getDate()
 
@@ -1856,11 +1845,20 @@ function TenDayStrip({ dailyForecast }) {
               >
                 <div className="text-sm text-slate-500 dark:text-slate-400 font-semibold">{dayName}</div>
                 <div className="text-xl text-slate-700 dark:text-slate-300 font-bold">{dayNum}</div>
-                <Icon className={`w-10 h-10 sm:w-12 sm:h-12 my-2 sm:my-3 ${isSnowy ? 'text-blue-400' : 'text-amber-400'}`} />
-                <div className="text-lg sm:text-xl text-slate-800 dark:text-white font-bold">{Math.round(daily.temperature_2m_max[i])}°</div>
-                <div className="text-slate-400 dark:text-slate-500">{Math.round(daily.temperature_2m_min[i])}°</div>
+                <Icon className={`w-10 h-10 sm:w-12 sm:h-12 mt-2 sm:mt-3 ${isSnowy ? 'text-blue-400' : 'text-amber-400'}`} />
+                <div className="text-[10px] leading-tight text-center text-slate-500 dark:text-slate-400 max-w-[72px] mt-1 mb-2 sm:mb-3">
+                  <Sourced {...sourced('weather_code', i)}>{describeWeather(weatherCode, condition)}</Sourced>
+                </div>
+                <div className="text-lg sm:text-xl text-slate-800 dark:text-white font-bold">
+                  <Sourced {...sourced('temperature_2m_max', i)}>{Math.round(daily.temperature_2m_max[i])}°</Sourced>
+                </div>
+                <div className="text-slate-400 dark:text-slate-500">
+                  <Sourced {...sourced('temperature_2m_min', i)}>{Math.round(daily.temperature_2m_min[i])}°</Sourced>
+                </div>
                 {snowfall > 0 && (
-                  <div className="text-sm text-blue-500 dark:text-blue-400 mt-1 font-semibold">{snowfall.toFixed(1)}"</div>
+                  <div className="text-sm text-blue-500 dark:text-blue-400 mt-1 font-semibold">
+                    <Sourced {...sourced('snowfall_sum', i)}>{snowfall.toFixed(1)}"</Sourced>
+                  </div>
                 )}
               </div>
             )
@@ -1874,26 +1872,25 @@ function TenDayStrip({ dailyForecast }) {
 // Forecast Calendar View - Shows all forecast days
 function CalendarMonth({ dailyForecast }) {
   const daily = dailyForecast.daily
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
+  const sourced = (field, i) => ({ source: dailyForecast.provenance?.[field]?.[i], degraded: dailyForecast.degraded })
+  // Today at the location, which isn't always the viewer's today
+  const today = localNow(dailyForecast.timeZone).slice(0, 10)
 
   // Create forecast data array with dates (limit to 16 days - ECMWF max)
   const forecastDays = useMemo(() => {
     return daily.time.slice(0, 16).map((dateStr, i) => {
-      const date = new Date(dateStr + 'T00:00:00')
-      const snowCm = daily.snowfall_sum[i] || 0
-      const snowIn = snowCm / 2.54
-      const precipMm = daily.precipitation_sum?.[i] || 0
-      const precipIn = precipMm / 25.4
+      const snowIn = daily.snowfall_sum[i] || 0
+      const precipIn = daily.precipitation_sum?.[i] || 0
       const precipProb = daily.precipitation_probability_max?.[i] || 0
       return {
-        date,
+        index: i,
         dateStr,
-        dayOfWeek: date.getDay(),
-        dayNum: date.getDate(),
-        month: date.toLocaleDateString('en-US', { month: 'short' }),
-        isToday: date.getTime() === today.getTime(),
+        dayOfWeek: localWeekday(dateStr),
+        dayNum: Number(dateStr.slice(8, 10)),
+        month: formatLocal(dateStr, { month: 'short' }),
+        isToday: dateStr === today,
         weatherCode: daily.weather_code[i],
+        condition: daily.condition?.[i],
         high: Math.round(daily.temperature_2m_max[i]),
         low: Math.round(daily.temperature_2m_min[i]),
         snow: snowIn,
@@ -1966,13 +1963,15 @@ function CalendarMonth({ dailyForecast }) {
                 return <div key={dayIdx} className="aspect-square" />
               }
 
-              const Icon = getWeatherIconFromCode(cell.weatherCode)
-              const isSnowy = [71, 73, 75, 77, 85, 86].includes(cell.weatherCode)
-              const isRainy = [51, 53, 55, 61, 63, 65, 80, 81, 82].includes(cell.weatherCode)
+              const Icon = getWeatherIconFromCode(cell.weatherCode, true, cell.condition)
+              const kind = precipitationKind(cell.weatherCode)
+              const isSnowy = kind === 'snow'
+              const isRainy = kind !== null && !isSnowy
 
               return (
                 <div
                   key={dayIdx}
+                  title={describeWeather(cell.weatherCode, cell.condition)}
                   className={`aspect-square rounded-xl p-0.5 flex flex-col items-center justify-center text-center transition-colors hover:bg-blue-50 dark:hover:bg-slate-700 ${
                     cell.isToday ? 'bg-blue-500 text-white shadow-md shadow-blue-200 dark:shadow-none' : ''
                   }`}
@@ -1982,19 +1981,29 @@ function CalendarMonth({ dailyForecast }) {
                   </div>
                   <Icon className={`w-4 h-4 ${cell.isToday ? 'text-white' : isSnowy ? 'text-blue-400' : isRainy ? 'text-blue-400' : 'text-amber-400'}`} />
                   <div className="text-[10px] font-semibold">
-                    <span className={cell.isToday ? 'text-white' : 'text-slate-700 dark:text-white'}>{cell.high}°</span>
-                    <span className={cell.isToday ? 'text-blue-200' : 'text-slate-400'}>/{cell.low}°</span>
+                    <Sourced {...sourced('temperature_2m_max', cell.index)}>
+                      <span className={cell.isToday ? 'text-white' : 'text-slate-700 dark:text-white'}>{cell.high}°</span>
+                    </Sourced>
+                    <Sourced {...sourced('temperature_2m_min', cell.index)}>
+                      <span className={cell.isToday ? 'text-blue-200' : 'text-slate-400'}>/{cell.low}°</span>
+                    </Sourced>
                   </div>
                   {/* Precipitation info */}
                   <div className="text-[8px] leading-tight">
                     {cell.precipProb > 0 && (
-                      <span className={cell.isToday ? 'text-blue-200' : 'text-slate-400'}>{cell.precipProb}%</span>
+                      <Sourced {...sourced('precipitation_probability_max', cell.index)}>
+                        <span className={cell.isToday ? 'text-blue-200' : 'text-slate-400'}>{cell.precipProb}%</span>
+                      </Sourced>
                     )}
                     {cell.snow > 0.05 && (
-                      <span className={cell.isToday ? 'text-white' : 'text-sky-500'}> {cell.snow.toFixed(1)}"s</span>
+                      <Sourced {...sourced('snowfall_sum', cell.index)}>
+                        <span className={cell.isToday ? 'text-white' : 'text-sky-500'}> {cell.snow.toFixed(1)}"s</span>
+                      </Sourced>
                     )}
                     {cell.rain > 0.05 && (
-                      <span className={cell.isToday ? 'text-white' : 'text-blue-500'}> {cell.rain.toFixed(1)}"r</span>
+                      <Sourced {...sourced('precipitation_sum', cell.index)}>
+                        <span className={cell.isToday ? 'text-white' : 'text-blue-500'}> {cell.rain.toFixed(1)}"r</span>
+                      </Sourced>
                     )}
                   </div>
                 </div>
@@ -2026,10 +2035,9 @@ function ForecastTab({ forecast, dailyForecast, location, modelData, airQuality
           </h3>
           <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
             {daily.time.map((dateStr, i) => {
-              const snowCm = daily.snowfall_sum[i]
-              if (snowCm === 0) return null
+              const snow = daily.snowfall_sum[i] || 0
+              if (snow === 0) return null
               const date = new Date(dateStr + 'T00:00:00') // Parse as local time
-              const snow = snowCm / 2.54 // Convert cm to inches
               const dayName = i === 0 ? 'Today' : i === 1 ? 'Tomorrow' :
                 date.toLocaleDateString('en-US', { weekday: 'short' })
               return (
@@ -2042,7 +2050,7 @@ function ForecastTab({ forecast, dailyForecast, location, modelData, airQuality
             <div className="text-center">
               <div className="text-slate-500 dark:text-slate-400 text-sm">10-Day Total</div>
               <div className="text-2xl font-light text-sky-600 dark:text-sky-200">
-                {(daily.snowfall_sum.reduce((a, b) => a + b, 0) / 2.54).toFixed(1)}"
+                {daily.snowfall_sum.reduce((a, b) => a + b, 0).toFixed(1)}"
               </div>
             </div>
           </div>
@@ -2061,7 +2069,7 @@ function HourlyTab({ forecast }) {
     <div className="overflow-x-auto">
       <div className="flex gap-3 pb-2" style={{ minWidth: 'max-content' }}>
         {periods.map((period, i) => {
-          const Icon = getWeatherIcon(period.shortForecast)
+          const Icon = getWeatherIcon(period)
           const time = new Date(period.startTime).toLocaleTimeString('en-US', {
             hour: 'numeric',
             hour12: true,
@@ -2087,55 +2095,54 @@ function ModelsTab({ modelData, location }) {
 
   // Fetch extended model data from multiple models
   useEffect(() => {
+    const controller = new AbortController()
+    const models = providersFor(controller.signal)
     const fetchExtended = async () => {
       try {
+        const point = { lat: location.lat, lon: location.lon }
         // Fetch GFS and Canadian GEM models in parallel
-        const [gfsRes, gemRes] = await Promise.all([
-          fetch(
-            `https://api.open-meteo.com/v1/gfs?latitude=${location.lat}&longitude=${location.lon}` +
-              `&hourly=temperature_2m,precipitation_probability,precipitation,snowfall,` +
-              `freezing_level_height,snow_depth,wind_speed_10m,wind_gusts_10m,cape,lifted_index,` +
-              `convective_inhibition,visibility` +
-              `&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,snowfall_sum,` +
-              `precipitation_probability_max` +
-              `&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch` +
-              `&timezone=America/New_York&forecast_days=16`
-          ),
-          fetch(
-            `https://api.open-meteo.com/v1/gem?latitude=${location.lat}&longitude=${location.lon}` +
-              `&hourly=snowfall` +
-              `&daily=snowfall_sum` +
-              `&timezone=America/New_York&forecast_days=16`
-          )
+        const [gfs, gem] = await Promise.all([
+          models.gfs.forecast(point, {
+            hourly: {
+              fields: ['temperature_2m', 'precipitation_probability', 'precipitation', 'snowfall',
+                'freezing_level_height', 'snow_depth', 'wind_speed_10m', 'wind_gusts_10m', 'cape', 'lifted_index',
+                'convective_inhibition', 'visibility'],
+            },
+            daily: {
+              fields: ['temperature_2m_max', 'temperature_2m_min', 'precipitation_sum', 'snowfall_sum',
+                'precipitation_probability_max'],
+            },
+            units: IMPERIAL,
+            days: 16,
+          }),
+          models.gem.forecast(point, {
+            hourly: { fields: ['snowfall'] },
+            daily: { fields: ['snowfall_sum'] },
+            days: 16,
+          }).catch(() => null),
         ])
-
-        if (gfsRes.ok) {
-          const gfsData = await gfsRes.json()
-          // If Canadian GEM has higher snow, use those values
-          if (gemRes.ok) {
-            const gemData = await gemRes.json()
-            // Take the max snow from either model for each time period
-            if (gemData.hourly?.snowfall && gfsData.hourly?.snowfall) {
-              gfsData.hourly.snowfall = gfsData.hourly.snowfall.map((gfs, i) =>
-                Math.max(gfs, gemData.hourly.snowfall[i] || 0)
-              )
-            }
-            if (gemData.daily?.snowfall_sum && gfsData.daily?.snowfall_sum) {
-              gfsData.daily.snowfall_sum = gfsData.daily.snowfall_sum.map((gfs, i) =>
-                Math.max(gfs, gemData.daily.snowfall_sum[i] || 0)
-              )
-            }
-          }
-          setExtendedData(gfsData)
+        if (controller.signal.aborted) return
+
+        const hourly = gfs.hourly?.data
+        const daily = gfs.daily?.data
+        // Take the max snow from either model for each time period
+        // (Canadian GEM often has higher snow)
+        if (hourly?.snowfall && gem?.hourly?.data.snowfall) {
+          hourly.snowfall = maxMerge(hourly.snowfall, gem.hourly.data.snowfall)
+        }
+        if (daily?.snowfall_sum && gem?.daily?.data.snowfall_sum) {
+          daily.snowfall_sum = maxMerge(daily.snowfall_sum, gem.daily.data.snowfall_sum)
         }
+        setExtendedData({ hourly, daily })
       } catch (err) {
-        console.error('Failed to fetch extended model data:', err)
+        if (!isAbort(err)) console.error('Failed to fetch extended model data:', err)
       }
     }
     fetchExtended()
+    return () => controller.abort()
   }, [location.lat, location.lon])
 
-  if (!modelData) return <LoadingSpinner />
+  if (!modelData?.hourly) return <LoadingSpinner />
 
   const hourly = modelData.hourly
   const extended = extendedData?.hourly || hourly
@@ -2143,9 +2150,9 @@ function ModelsTab({ modelData, location }) {
 
   const tempData = extended.temperature_2m?.slice(0, timeRange) || []
   const precipProb = extended.precipitation_probability?.slice(0, timeRange) || []
-  // Convert snowfall from cm to inches
-  const snowfallCm = extended.snowfall?.slice(0, timeRange) || []
-  const snowfall = snowfallCm.map(s => s / 2.54)
+  const snowfall = extended.snowfall?.slice(0, timeRange) || []
+  // Model hours are the location's clock
+  const hourLabel = (time) => `${formatLocal(time, { weekday: 'short', hour: 'numeric' })} ${zoneLabel(modelData.timeZone)}`.trim()
   const windSpeed = extended.wind_speed_10m?.slice(0, timeRange) || []
   const windGusts = extended.wind_gusts_10m?.slice(0, timeRange) || []
   const cape = extended.cape?.slice(0, timeRange) || []
@@ -2196,7 +2203,7 @@ function ModelsTab({ modelData, location }) {
                   key={i}
                   className="flex-1 bg-gradient-to-t from-sky-400 to-white rounded-t opacity-80 hover:opacity-100 transition-opacity cursor-pointer"
                   style={{ height: `${Math.max(height, snow > 0 ? 5 : 0)}%` }}
-                  title={`${new Date(times[i]).toLocaleString()}: ${snow.toFixed(2)}" snow`}
+                  title={`${hourLabel(times[i])}: ${snow.toFixed(2)}" snow`}
                 />
               )
             })}
@@ -2230,7 +2237,7 @@ function ModelsTab({ modelData, location }) {
                   isFreezing ? 'bg-sky-400' : 'bg-gradient-to-t from-sky-500 to-rose-500'
                 }`}
                 style={{ height: `${Math.max(height, 5)}%` }}
-                title={`${new Date(times[i]).toLocaleString()}: ${Math.round(temp)}°F`}
+                title={`${hourLabel(times[i])}: ${Math.round(temp)}°F`}
               />
             )
           })}
@@ -2260,7 +2267,7 @@ function ModelsTab({ modelData, location }) {
                 key={i}
                 className="flex-1 bg-sky-500 rounded-t opacity-70 hover:opacity-100 transition-opacity cursor-pointer"
                 style={{ height: `${Math.max(height, 2)}%` }}
-                title={`${new Date(times[i]).toLocaleString()}: ${prob}%`}
+                title={`${hourLabel(times[i])}: ${prob}%`}
               />
             )
           })}
@@ -2283,7 +2290,7 @@ function ModelsTab({ modelData, location }) {
             const gustHeight = ((windGusts[i] || speed) / maxWind) * 100
             const speedHeight = (speed / maxWind) * 100
             return (
-              <div key={i} className="flex-1 relative cursor-pointer" title={`${new Date(times[i]).toLocaleString()}: ${Math.round(speed)} mph (gusts ${Math.round(windGusts[i] || speed)} mph)`}>
+              <div key={i} className="flex-1 relative cursor-pointer" title={`${hourLabel(times[i])}: ${Math.round(speed)} mph (gusts ${Math.round(windGusts[i] || speed)} mph)`}>
                 <div
                   className="absolute bottom-0 w-full bg-emerald-800/50 rounded-t"
                   style={{ height: `${gustHeight}%` }}
@@ -2325,7 +2332,7 @@ function ModelsTab({ modelData, location }) {
                     isHighCape ? 'bg-red-500' : 'bg-amber-500'
                   }`}
                   style={{ height: `${Math.max(height, 2)}%` }}
-                  title={`${new Date(times[i]).toLocaleString()}: ${Math.round(c)} J/kg`}
+                  title={`${hourLabel(times[i])}: ${Math.round(c)} J/kg`}
                 />
               )
             })}
@@ -2353,7 +2360,7 @@ function ModelsTab({ modelData, location }) {
                     isUnstable ? 'bg-red-500' : 'bg-purple-500'
                   }`}
                   style={{ height: `${Math.max(normalized, 5)}%` }}
-                  title={`${new Date(times[i]).toLocaleString()}: ${li?.toFixed(1) || 'N/A'}`}
+                  title={`${hourLabel(times[i])}: ${li?.toFixed(1) || 'N/A'}`}
                 />
               )
             })}
@@ -2387,8 +2394,7 @@ function ModelsTab({ modelData, location }) {
               <tbody>
                 {daily.time.map((dateStr, i) => {
                   const date = new Date(dateStr + 'T00:00:00') // Parse as local time
-                  const snowCm = daily.snowfall_sum[i]
-                  const snow = snowCm / 2.54 // Convert cm to inches
+                  const snow = daily.snowfall_sum[i] || 0
                   const precip = daily.precipitation_sum[i]
                   return (
                     <tr key={i} className={`border-t border-slate-700/50 ${snow > 0.05 ? 'bg-sky-500/5' : ''}`}>
@@ -2495,11 +2501,15 @@ function RadarTab({ location, onGeolocate, locating }) {
     const CACHE_KEY = 'radar_frame_cache_full'
     const MAX_AGE_HOURS = 4
     const MAX_AGE_SECONDS = MAX_AGE_HOURS * 60 * 60
+    let framesLoaded = false
 
     const fetchFrames = async () => {
       try {
-        const res = await fetch('https://api.rainviewer.com/public/weather-maps.json')
-        const data = await res.json()
+        const { res, data, unchanged } = await fetchRevalidated(proxyUrl('rainviewer', 'public/weather-maps.json'))
+        if (!res.ok && !unchanged) return
+        // Same frames as last time - don't restart the animation
+        if (unchanged && framesLoaded) return
+        framesLoaded = true
         const newFrames = data.radar.past.concat(data.radar.nowcast || [])
 
         // Load cached frames from localStorage
@@ -2539,9 +2549,7 @@ function RadarTab({ location, onGeolocate, locating }) {
         console.error('Failed to fetch weather frames:', err)
       }
     }
-    fetchFrames()
-    const interval = setInterval(fetchFrames, 5 * 60 * 1000) // Refresh every 5 min
-    return () => clearInterval(interval)
+    return schedule('radar', fetchFrames)
   }, [])
 
   // Fetch NWS alerts with geometry
@@ -2550,8 +2558,7 @@ function RadarTab({ location, onGeolocate, locating }) {
       try {
         // Fetch alerts for a wider area around the location
         const res = await fetch(
-          `https://api.weather.gov/alerts/active?point=${location.lat},${location.lon}&limit=50`,
-          { headers: { 'User-Agent': 'WeatherDashboard/1.0' } }
+          proxyUrl('nws', 'alerts/active', { point: `${location.lat},${location.lon}`, limit: 50 })
         )
         if (res.ok) {
           const data = await res.json()
@@ -2561,10 +2568,7 @@ function RadarTab({ location, onGeolocate, locating }) {
             setAlertsGeoJson({ type: 'FeatureCollection', features: featuresWithGeometry })
           } else {
             // If no point-based alerts, try state-wide
-            const stateRes = await fetch(
-              `https://api.weather.gov/alerts/active?area=${location.state}`,
-              { headers: { 'User-Agent': 'WeatherDashboard/1.0' } }
-            )
+            const stateRes = await fetch(proxyUrl('nws', 'alerts/active', { area: location.state }))
             if (stateRes.ok) {
               const stateData = await stateRes.json()
               const stateFeatures = stateData.features?.filter(f => f.geometry) || []
@@ -2576,9 +2580,7 @@ function RadarTab({ location, onGeolocate, locating }) {
         console.error('Failed to fetch alerts:', err)
       }
     }
-    fetchAlerts()
-    const interval = setInterval(fetchAlerts, 2 * 60 * 1000) // Refresh every 2 min
-    return () => clearInterval(interval)
+    return schedule('alerts', fetchAlerts)
   }, [location.lat, location.lon, location.state])
 
   // Animation playback (slower for better viewing)
@@ -2842,6 +2844,7 @@ function RadarTab({ location, onGeolocate, locating }) {
 function ApiStatusDot({ status }) {
   const colors = {
     online: 'bg-emerald-500',
+    degraded: 'bg-amber-500',
     offline: 'bg-red-500',
     loading: 'bg-yellow-500 animate-pulse',
     unknown: 'bg-slate-400'
@@ -2852,80 +2855,40 @@ function ApiStatusDot({ status }) {
 }
 
 // Live Data Sources Page component
-function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alerts }) {
+function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alerts, unavailable = {} }) {
   const isDark = useColorScheme()
-  const [apiStatuses, setApiStatuses] = useState({})
+  const [health, setHealth] = useState(null)
   const [radarPreview, setRadarPreview] = useState(null)
   const [gemData, setGemData] = useState(null)
   const [loadingGem, setLoadingGem] = useState(false)
   const [showSatelliteLoop, setShowSatelliteLoop] = useState(false)
 
-  // Check API statuses on mount
+  // Provider health comes from the server's shared probes (api/health.js), so
+  // polling it never reaches the upstreams themselves
   useEffect(() => {
-    const checkApis = async () => {
-      const statuses = {}
-
-      // Check Open-Meteo GFS
-      try {
-        const res = await fetch('https://api.open-meteo.com/v1/gfs?latitude=40&longitude=-80&current=temperature_2m', { method: 'HEAD' })
-        statuses['open-meteo-gfs'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['open-meteo-gfs'] = 'offline' }
-
-      // Check Open-Meteo GEM
-      try {
-        const res = await fetch('https://api.open-meteo.com/v1/gem?latitude=40&longitude=-80&current=temperature_2m', { method: 'HEAD' })
-        statuses['open-meteo-gem'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['open-meteo-gem'] = 'offline' }
-
-      // Check NWS API
-      try {
-        const res = await fetch('https://api.weather.gov/points/40,-80', { headers: { 'User-Agent': 'WeatherDashboard/1.0' } })
-        statuses['nws'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['nws'] = 'offline' }
-
-      // Check RainViewer
-      try {
-        const res = await fetch('https://api.rainviewer.com/public/weather-maps.json')
-        statuses['rainviewer'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['rainviewer'] = 'offline' }
-
-      // Check Air Quality API
-      try {
-        const res = await fetch('https://air-quality-api.open-meteo.com/v1/air-quality?latitude=40&longitude=-80&current=us_aqi', { method: 'HEAD' })
-        statuses['air-quality'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['air-quality'] = 'offline' }
-
-      // Check WeatherAPI (via server-side proxy)
-      try {
-        const res = await fetch(`/api/weather?endpoint=current.json&q=40,-80`, { method: 'HEAD' })
-        statuses['weatherapi'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['weatherapi'] = 'offline' }
-
-      // Check NOAA GOES
+    const fetchHealth = async () => {
       try {
-        const res = await fetch('https://cdn.star.nesdis.noaa.gov/GOES16/ABI/SECTOR/NE/GEOCOLOR/latest.jpg', { method: 'HEAD' })
-        statuses['noaa-goes'] = res.ok ? 'online' : 'offline'
-      } catch { statuses['noaa-goes'] = 'offline' }
-
-      setApiStatuses(statuses)
+        const res = await fetch('/api/health')
+        if (res.ok) setHealth(await res.json())
+      } catch (err) {
+        console.error('Failed to fetch API health:', err)
+      }
     }
 
-    checkApis()
-    const interval = setInterval(checkApis, 60000) // Check every minute
-    return () => clearInterval(interval)
+    return schedule('health', fetchHealth)
   }, [])
 
   // Fetch radar preview
   useEffect(() => {
     const fetchRadar = async () => {
       try {
-        const res = await fetch('https://api.rainviewer.com/public/weather-maps.json')
+        const res = await fetch(proxyUrl('rainviewer', 'public/weather-maps.json'))
         const data = await res.json()
         const latestFrame = data.radar.past[data.radar.past.length - 1]
         if (latestFrame) {
           setRadarPreview({
             path: latestFrame.path,
-            time: new Date(latestFrame.time * 1000).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+            time: latestFrame.time * 1000,
           })
         }
       } catch (err) {
@@ -2942,12 +2905,11 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
     const fetchGem = async () => {
       setLoadingGem(true)
       try {
-        const res = await fetch(
-          `https://api.open-meteo.com/v1/gem?latitude=${location.lat}&longitude=${location.lon}` +
-          `&hourly=temperature_2m&temperature_unit=fahrenheit&timezone=America/New_York&forecast_days=3`
-        )
-        const data = await res.json()
-        setGemData(data)
+        const hourly = await providers.gem.hourly({ lat: location.lat, lon: location.lon }, ['temperature_2m'], {
+          units: { temperature: 'fahrenheit' },
+          days: 3,
+        })
+        setGemData(hourly)
       } catch (err) {
         console.error('Failed to fetch GEM data:', err)
       }
@@ -2970,13 +2932,15 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
   const goesSector = getGoesSector(location.lon)
   const goesImageUrl = `https://cdn.star.nesdis.noaa.gov/${goesSector.satellite}/ABI/SECTOR/${goesSector.sector}/GEOCOLOR/latest.jpg`
 
-  // Count online APIs
-  const onlineCount = Object.values(apiStatuses).filter(s => s === 'online').length
-  const totalApis = Object.keys(apiStatuses).length
+  // Count online APIs (degraded ones still answer)
+  const providerHealth = health?.providers || {}
+  const apiStatus = (id) => providerHealth[id]?.status || 'loading'
+  const onlineCount = Object.values(providerHealth).filter(p => p.status === 'online' || p.status === 'degraded').length
+  const totalApis = Object.keys(providerHealth).length
 
   // Model comparison data
   const gfsTemps = modelData?.hourly?.temperature_2m?.slice(0, 24) || []
-  const gemTemps = gemData?.hourly?.temperature_2m?.slice(0, 24) || []
+  const gemTemps = gemData?.data.temperature_2m?.slice(0, 24) || []
 
   return (
     <div className="space-y-6 mt-8">
@@ -2990,6 +2954,7 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
           <p className="text-sm text-slate-500 dark:text-slate-400">
             {totalApis > 0 ? `${onlineCount}/${totalApis} APIs online` : 'Checking status...'}
           </p>
+          <RefreshSchedule timeZone={modelData?.timeZone} />
         </div>
       </div>
 
@@ -3009,7 +2974,7 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                     Radar
                   </h4>
                   <div className="flex items-center gap-2 text-xs text-slate-500">
-                    <ApiStatusDot status={apiStatuses['rainviewer'] || 'loading'} />
+                    <ApiStatusDot status={apiStatus('rainviewer')} />
                     <span>RainViewer</span>
                   </div>
                 </div>
@@ -3030,7 +2995,7 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                       onError={(e) => { e.target.style.display = 'none' }}
                     />
                     <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded">
-                      {radarPreview.time}
+                      {formatInstant(radarPreview.time, modelData?.timeZone, { hour: 'numeric', minute: '2-digit' })} {zoneLabel(modelData?.timeZone)}
                     </div>
                   </div>
                 ) : (
@@ -3057,38 +3022,46 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                   </h4>
                   <span className="text-xs text-slate-500">{goesSector.satellite}</span>
                 </div>
-                <div className="relative">
-                  <img
-                    src={goesImageUrl}
-                    alt="GOES satellite imagery"
-                    className="w-full h-32 object-cover rounded-lg bg-slate-100 dark:bg-slate-700"
-                    onError={(e) => { e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"/>' }}
-                  />
-                  <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded">
-                    {goesSector.sector} Sector
+                {unavailable.nws ? (
+                  <div className="h-32 flex items-center justify-center text-center text-sm text-slate-400 px-4">
+                    NOAA GOES imagery only covers the Americas, so it isn't shown for locations outside NWS coverage
                   </div>
-                </div>
-                <div className="mt-3 flex items-center justify-between">
-                  <a
-                    href={`https://www.star.nesdis.noaa.gov/GOES/${goesSector.satellite === 'GOES16' ? 'index' : 'GOES18_CONUS'}.php`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="flex items-center gap-1 text-xs text-blue-500 hover:text-blue-600"
-                  >
-                    View full satellite <ExternalLink className="w-3 h-3" />
-                  </a>
-                  <button
-                    onClick={() => setShowSatelliteLoop(!showSatelliteLoop)}
-                    className={`flex items-center gap-1 text-xs px-2 py-1 rounded-lg transition-colors ${
-                      showSatelliteLoop
-                        ? 'bg-green-500 text-white'
-                        : 'bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600'
-                    }`}
-                  >
-                    <Play className="w-3 h-3" />
-                    {showSatelliteLoop ? 'Hide Loop' : 'View Loop'}
-                  </button>
-                </div>
+                ) : (
+                  <>
+                    <div className="relative">
+                      <img
+                        src={goesImageUrl}
+                        alt="GOES satellite imagery"
+                        className="w-full h-32 object-cover rounded-lg bg-slate-100 dark:bg-slate-700"
+                        onError={(e) => { e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"/>' }}
+                      />
+                      <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded">
+                        {goesSector.sector} Sector
+                      </div>
+                    </div>
+                    <div className="mt-3 flex items-center justify-between">
+                      <a
+                        href={`https://www.star.nesdis.noaa.gov/GOES/${goesSector.satellite === 'GOES16' ? 'index' : 'GOES18_CONUS'}.php`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-1 text-xs text-blue-500 hover:text-blue-600"
+                      >
+                        View full satellite <ExternalLink className="w-3 h-3" />
+                      </a>
+                      <button
+                        onClick={() => setShowSatelliteLoop(!showSatelliteLoop)}
+                        className={`flex items-center gap-1 text-xs px-2 py-1 rounded-lg transition-colors ${
+                          showSatelliteLoop
+                            ? 'bg-green-500 text-white'
+                            : 'bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600'
+                        }`}
+                      >
+                        <Play className="w-3 h-3" />
+                        {showSatelliteLoop ? 'Hide Loop' : 'View Loop'}
+                      </button>
+                    </div>
+                  </>
+                )}
               </Card>
 
               {/* Air Quality Card */}
@@ -3099,7 +3072,7 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                     Air Quality
                   </h4>
                   <div className="flex items-center gap-2 text-xs text-slate-500">
-                    <ApiStatusDot status={apiStatuses['air-quality'] || 'loading'} />
+                    <ApiStatusDot status={apiStatus('air-quality')} />
                     <span>Open-Meteo</span>
                   </div>
                 </div>
@@ -3143,8 +3116,8 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                     Active Alerts
                   </h4>
                   <div className="flex items-center gap-2 text-xs text-slate-500">
-                    <ApiStatusDot status={apiStatuses['nws'] || 'loading'} />
-                    <span>NWS</span>
+                    <ApiStatusDot status={apiStatus(unavailable.nws ? 'weatherapi' : 'nws')} />
+                    <span>{unavailable.nws ? 'WeatherAPI' : 'NWS'}</span>
                   </div>
                 </div>
                 {alerts && alerts.length > 0 ? (
@@ -3176,14 +3149,16 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                     <span className="text-sm">No active alerts</span>
                   </div>
                 )}
-                <a
-                  href={`https://alerts.weather.gov/`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="mt-3 flex items-center gap-1 text-xs text-blue-500 hover:text-blue-600"
-                >
-                  View all alerts <ExternalLink className="w-3 h-3" />
-                </a>
+                {!unavailable.nws && (
+                  <a
+                    href={`https://alerts.weather.gov/`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="mt-3 flex items-center gap-1 text-xs text-blue-500 hover:text-blue-600"
+                  >
+                    View all alerts <ExternalLink className="w-3 h-3" />
+                  </a>
+                )}
               </Card>
 
               {/* Model Comparison Card */}
@@ -3262,7 +3237,7 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
             </div>
 
             {/* Satellite Loop - shown when requested */}
-            {showSatelliteLoop && (
+            {showSatelliteLoop && !unavailable.nws && (
               <div className="mt-4">
                 <SatelliteLoop location={location} />
               </div>
@@ -3286,13 +3261,19 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                 { id: 'air-quality', name: 'Air Quality', icon: Wind },
               ].map(api => {
                 const Icon = api.icon
-                const status = apiStatuses[api.id] || 'loading'
+                const provider = providerHealth[api.id]
+                // NWS-only sources say so rather than showing a status that doesn't apply here
+                const notHere = unavailable.nws && (api.id === 'nws' || api.id === 'noaa-goes')
+                const status = notHere ? 'unavailable' : apiStatus(api.id)
                 return (
                   <div
                     key={api.id}
+                    title={provider?.lastError?.message}
                     className={`p-3 rounded-lg border ${
                       status === 'online'
                         ? 'bg-emerald-50 dark:bg-emerald-500/10 border-emerald-200 dark:border-emerald-500/30'
+                        : status === 'degraded'
+                        ? 'bg-amber-50 dark:bg-amber-500/10 border-amber-200 dark:border-amber-500/30'
                         : status === 'offline'
                         ? 'bg-red-50 dark:bg-red-500/10 border-red-200 dark:border-red-500/30'
                         : 'bg-slate-50 dark:bg-slate-700/50 border-slate-200 dark:border-slate-600'
@@ -3300,17 +3281,44 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
                   >
                     <div className="flex items-center gap-2 mb-1">
                       <Icon className={`w-4 h-4 ${
-                        status === 'online' ? 'text-emerald-500' : status === 'offline' ? 'text-red-500' : 'text-slate-400'
+                        status === 'online' ? 'text-emerald-500' :
+                        status === 'degraded' ? 'text-amber-500' :
+                        status === 'offline' ? 'text-red-500' : 'text-slate-400'
                       }`} />
                       <ApiStatusDot status={status} />
+                      {provider?.latencyMs != null && (
+                        <span className="ml-auto text-[10px] text-slate-500 dark:text-slate-400">{provider.latencyMs} ms</span>
+                      )}
                     </div>
                     <div className="text-xs font-medium text-slate-700 dark:text-slate-200">{api.name}</div>
                     <div className={`text-xs ${
                       status === 'online' ? 'text-emerald-600 dark:text-emerald-400' :
+                      status === 'degraded' ? 'text-amber-600 dark:text-amber-400' :
                       status === 'offline' ? 'text-red-600 dark:text-red-400' : 'text-slate-500'
                     }`}>
-                      {status === 'online' ? 'Online' : status === 'offline' ? 'Offline' : 'Checking...'}
+                      {{ online: 'Online', degraded: 'Degraded', offline: 'Offline', unknown: 'Not checked', unavailable: 'Not available here' }[status] || 'Checking...'}
                     </div>
+                    {provider && !notHere && (
+                      <>
+                        {/* Uptime history, oldest probe first */}
+                        <div className="flex gap-px mt-2 h-3">
+                          {provider.history.map((probe) => (
+                            <span
+                              key={probe.at}
+                              title={`${new Date(probe.at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}: ${probe.ok ? `${probe.latencyMs} ms` : 'failed'}`}
+                              className={`flex-1 max-w-1.5 rounded-sm ${probe.ok ? 'bg-emerald-400' : 'bg-red-400'}`}
+                            />
+                          ))}
+                        </div>
+                        <div className="mt-1 text-[10px] text-slate-500 dark:text-slate-400">
+                          {provider.errorRate != null && `${Math.round(provider.errorRate * 100)}% errors`}
+                          {provider.errorRate != null && provider.status === 'offline' && ' · '}
+                          {provider.status === 'offline' && (provider.lastSuccessAt
+                            ? `last OK ${new Date(provider.lastSuccessAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`
+                            : 'no successful check yet')}
+                        </div>
+                      </>
+                    )}
                   </div>
                 )
               })}
@@ -3350,244 +3358,741 @@ function DataSourcesPage({ location, modelData, dailyForecast, airQuality, alert
   )
 }
 
+const VERIFICATION_FIELDS = [
+  { field: 'temperature_2m_max', label: 'High', format: (value) => `${value.toFixed(1)}°` },
+  { field: 'temperature_2m_min', label: 'Low', format: (value) => `${value.toFixed(1)}°` },
+  { field: 'precipitation_sum', label: 'Precip', format: (value) => `${value.toFixed(2)}"` },
+]
+const VERIFICATION_LEADS = [0, 1, 2, 3, 5, 7, 10]
+
+// How each source's past forecasts for this location turned out, from the
+// browser's own verification archive (see src/lib/verification.js)
+function VerificationPanel({ location, timeZone }) {
+  const [scores, setScores] = useState(null)
+  const [fieldIndex, setFieldIndex] = useState(0)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const point = { lat: location.lat, lon: location.lon }
+    const verify = async () => {
+      try {
+        // New observations first, so the scores include yesterday
+        await collectObservations(providersFor(controller.signal), point, { timeZone })
+          .catch((err) => {
+            if (!isAbort(err)) console.error('Failed to fetch observations:', err)
+          })
+        const result = await scoreForecasts(point)
+        if (!controller.signal.aborted) setScores(result)
+      } catch (err) {
+        // No IndexedDB (private browsing) - nothing to show
+        console.error('Verification unavailable:', err)
+      }
+    }
+    verify()
+    return () => controller.abort()
+  }, [location.lat, location.lon, timeZone])
+
+  const { field, label, format } = VERIFICATION_FIELDS[fieldIndex]
+  const bySource = scores?.[field] || {}
+  const sources = VERIFIED_SOURCES.filter((source) => bySource[source])
+  // Lowest error per lead time, highlighted
+  const best = Object.fromEntries(VERIFICATION_LEADS.map((lead) => {
+    const errors = sources.map((source) => bySource[source][lead]?.mae).filter((mae) => mae !== undefined)
+    return [lead, errors.length > 1 ? Math.min(...errors) : null]
+  }))
+
+  return (
+    <Card className="mt-6">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold text-slate-700 dark:text-slate-200 flex items-center gap-2">
+          <Target className="w-4 h-4 text-emerald-500" />
+          Forecast Verification
+        </h3>
+        <div className="flex gap-1">
+          {VERIFICATION_FIELDS.map((option, i) => (
+            <button
+              key={option.field}
+              onClick={() => setFieldIndex(i)}
+              className={`px-2.5 py-1 rounded-full text-xs font-semibold ${
+                i === fieldIndex ? 'bg-blue-500 text-white' : 'text-slate-500 dark:text-slate-400 hover:bg-blue-50 dark:hover:bg-slate-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 dark:text-slate-400 mb-3">
+        Mean absolute error of each source's {label.toLowerCase()} by how many days ahead it was forecast,
+        against observed values from the Open-Meteo archive. The small number is the bias (+ runs high).
+      </p>
+      {sources.length === 0 ? (
+        <p className="text-sm text-slate-400">
+          {scores ? 'Nothing to score yet. Forecasts are saved each day you open this location and scored once the archive has those days, usually within a week.' : 'Loading...'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400">
+                <th className="text-left font-medium py-1 pr-2">Source</th>
+                {VERIFICATION_LEADS.map((lead) => (
+                  <th key={lead} className="text-right font-medium py-1 px-1.5">{lead === 0 ? 'Today' : `+${lead}d`}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sources.map((source) => (
+                <tr key={source} className="border-t border-slate-100 dark:border-slate-700">
+                  <td className="py-1.5 pr-2 text-slate-700 dark:text-slate-300 font-medium whitespace-nowrap">{sourceLabel(source)}</td>
+                  {VERIFICATION_LEADS.map((lead) => {
+                    const score = bySource[source][lead]
+                    if (!score) return <td key={lead} className="text-right px-1.5 text-slate-300 dark:text-slate-600">-</td>
+                    return (
+                      <td
+                        key={lead}
+                        className={`text-right px-1.5 whitespace-nowrap ${score.mae === best[lead] ? 'text-emerald-600 dark:text-emerald-400 font-bold' : 'text-slate-600 dark:text-slate-300'}`}
+                        title={`${score.count} day${score.count === 1 ? '' : 's'} scored`}
+                      >
+                        {format(score.mae)}
+                        <span className="ml-1 text-[10px] font-normal text-slate-400">{score.bias >= 0 ? '+' : '-'}{format(Math.abs(score.bias))}</span>
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  )
+}
+
+// Current conditions for every saved location, in one batch request
+const SAVED_CONDITIONS_REQUEST = {
+  upstream: 'open-meteo',
+  endpoint: 'gfs',
+  params: {
+    latitude: '{lat}',
+    longitude: '{lon}',
+    current: 'temperature_2m,weather_code,is_day',
+    temperature_unit: 'fahrenheit',
+    timezone: 'auto',
+  },
+}
+
+// The header's saved-locations menu: switch to one (each shows its current
+// temperature and condition), save the current location, and rename,
+// reorder or remove them. `saved` is the list from src/lib/savedLocations.js;
+// onChange gets the edited list.
+function SavedLocations({ saved, location, onSelect, onChange }) {
+  const [open, setOpen] = useState(false)
+  // Location being renamed, and the name typed so far
+  const [renaming, setRenaming] = useState(null)
+  const [draft, setDraft] = useState('')
+  // id -> { temperature, code, isDay }
+  const [conditions, setConditions] = useState({})
+  const locations = saved.locations
+
+  useEffect(() => {
+    if (!open || locations.length === 0) return
+    const controller = new AbortController()
+    fetchBatch(locations, [SAVED_CONDITIONS_REQUEST], { signal: controller.signal })
+      .then((results) => {
+        setConditions(Object.fromEntries(results.map((result, i) => {
+          const current = result.responses?.[0]?.data?.current
+          return [locations[i].id, current && {
+            temperature: Math.round(current.temperature_2m),
+            code: current.weather_code,
+            isDay: current.is_day !== 0,
+          }]
+        })))
+      })
+      .catch((err) => {
+        if (!isAbort(err)) console.error('Failed to fetch saved location conditions:', err)
+      })
+    return () => controller.abort()
+  }, [open, locations])
+
+  const current = isSaved(saved, location)
+  const finishRename = () => {
+    if (renaming && draft.trim()) onChange(renameLocation(saved, renaming, draft.trim()))
+    setRenaming(null)
+  }
+  const iconButton = 'p-1 rounded text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 disabled:opacity-30'
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 rounded-full bg-slate-50 dark:bg-slate-800 hover:bg-blue-50 dark:hover:bg-slate-700 transition-colors"
+        title="Saved locations"
+      >
+        <Star className={`w-5 h-5 ${current ? 'text-amber-400 fill-amber-400' : 'text-slate-500 dark:text-slate-400'}`} />
+      </button>
+      {open && (
+        <>
+          {/* Click anywhere else to close */}
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 z-50 w-72 bg-white dark:bg-slate-800 border border-slate-100 dark:border-slate-700 rounded-2xl shadow-xl overflow-hidden">
+            {!current && (
+              <button
+                onClick={() => onChange(addLocation(saved, location))}
+                disabled={locations.length >= MAX_SAVED_LOCATIONS}
+                className="w-full px-4 py-3 text-left text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-slate-700 flex items-center gap-2 border-b border-slate-100 dark:border-slate-700 disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                Save {location.name}
+              </button>
+            )}
+            {locations.length === 0 && (
+              <p className="px-4 py-3 text-sm text-slate-500">No saved locations yet.</p>
+            )}
+            {locations.map((place, i) => {
+              const chip = conditions[place.id]
+              const Icon = chip ? getWeatherIconFromCode(chip.code, chip.isDay) : null
+              return (
+                <div key={place.id} className="px-3 py-2 flex items-center gap-2 hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                  {renaming === place.id ? (
+                    <input
+                      autoFocus
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                      onBlur={finishRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') finishRename()
+                        if (e.key === 'Escape') setRenaming(null)
+                      }}
+                      className="flex-1 min-w-0 px-2 py-1 text-sm rounded bg-slate-50 dark:bg-slate-700 text-slate-700 dark:text-slate-200 border border-blue-200 dark:border-slate-600 focus:outline-none"
+                    />
+                  ) : (
+                    <button
+                      onClick={() => {
+                        onSelect(place)
+                        setOpen(false)
+                      }}
+                      className="flex-1 min-w-0 text-left text-sm font-medium text-slate-700 dark:text-slate-200 truncate"
+                    >
+                      {place.name}
+                    </button>
+                  )}
+                  {chip && (
+                    <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-slate-100 dark:bg-slate-700 text-xs font-semibold text-slate-600 dark:text-slate-300 shrink-0">
+                      <Icon className="w-3.5 h-3.5" />
+                      {chip.temperature}°
+                    </span>
+                  )}
+                  <button onClick={() => onChange(moveLocation(saved, i, i - 1))} disabled={i === 0} className={iconButton} title="Move up">
+                    <ChevronUp className="w-3.5 h-3.5" />
+                  </button>
+                  <button onClick={() => onChange(moveLocation(saved, i, i + 1))} disabled={i === locations.length - 1} className={iconButton} title="Move down">
+                    <ChevronDown className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRenaming(place.id)
+                      setDraft(place.name)
+                    }}
+                    className={iconButton}
+                    title="Rename"
+                  >
+                    <Pencil className="w-3.5 h-3.5" />
+                  </button>
+                  <button onClick={() => onChange(removeLocation(saved, place.id))} className={iconButton} title="Remove">
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              )
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Keeps the saved locations in step with the signed-in account, whichever
+// side changed last winning. A list last synced with another account is
+// replaced by this one's instead; a list never synced is claimed and merged
+// as usual. Only rendered where Clerk is configured, since useUser needs its
+// provider.
+function SavedLocationsSync({ saved, onRemote }) {
+  const { isLoaded, user } = useUser()
+
+  useEffect(() => {
+    if (!isLoaded || !user) return
+    const remote = accountSavedLocations(user)
+    if (saved.owner !== user.id) {
+      onRemote(saved.owner ? ownedBy(remote, user.id) : ownedBy(saved, user.id))
+    } else if (remote && remote.updatedAt > saved.updatedAt) {
+      onRemote(ownedBy(remote, user.id))
+    } else if (saved.updatedAt > (remote?.updatedAt ?? 0)) {
+      saveToAccount(user, saved).catch((err) => console.error('Failed to save locations to the account:', err))
+    }
+  }, [isLoaded, user, saved, onRemote])
+
+  return null
+}
+
+// Indices of the worst values in a comparison row (the highest), when there's
+// something to compare: two values or more, not all the same, above `floor`
+const worstOf = (values, floor = -Infinity) => {
+  const present = values.filter((value) => value !== null && value !== undefined)
+  if (present.length < 2) return new Set()
+  const worst = Math.max(...present)
+  if (worst <= floor || present.every((value) => value === worst)) return new Set()
+  return new Set(values.flatMap((value, i) => (value === worst ? [i] : [])))
+}
+
+const WORST_CELL = 'bg-rose-50 dark:bg-rose-900/30 text-rose-700 dark:text-rose-300 font-semibold'
+
+// Several locations side by side: now, today, when precipitation starts, snow
+// and alerts, then the next hours and days in rows aligned across them, with
+// the worst of each row highlighted. Locations are the current one and the
+// saved ones (src/lib/savedLocations.js), loaded in one batch.
+function LocationComparison({ location, saved }) {
+  // ids picked to compare; until the user picks, the first few
+  const [picked, setPicked] = useState(null)
+  const [columns, setColumns] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const candidates = useMemo(() => {
+    const current = { id: locationKey(location), name: location.name, lat: location.lat, lon: location.lon }
+    return [current, ...saved.locations.filter(({ id }) => id !== current.id)]
+  }, [location, saved.locations])
+  const compared = useMemo(() => {
+    const ids = picked ?? candidates.slice(0, 4).map(({ id }) => id)
+    return candidates.filter(({ id }) => ids.includes(id)).slice(0, MAX_COMPARED)
+  }, [candidates, picked])
+
+  useEffect(() => {
+    if (compared.length < 2) return
+    const controller = new AbortController()
+    // On its own schedule, so the main forecast's stamp keeps to its own refreshes
+    const stop = schedule('comparison', async () => {
+      setLoading(true)
+      try {
+        const result = await loadComparison(compared, { signal: controller.signal })
+        setColumns(result)
+      } catch (err) {
+        if (isAbort(err)) return
+        throw err
+      } finally {
+        if (!controller.signal.aborted) setLoading(false)
+      }
+    })
+    return () => {
+      stop()
+      controller.abort()
+    }
+  }, [compared])
+
+  const toggle = (id) => {
+    const ids = compared.map((place) => place.id)
+    setPicked(ids.includes(id) ? ids.filter((other) => other !== id) : [...ids, id])
+  }
+
+  const header = (
+    <div className="flex items-center justify-between gap-3 mb-3">
+      <h3 className="font-semibold text-slate-700 dark:text-slate-200 flex items-center gap-2">
+        <Columns3 className="w-4 h-4 text-blue-500" />
+        Compare Locations
+        {loading && <RefreshCw className="w-3.5 h-3.5 text-slate-400 animate-spin" />}
+      </h3>
+    </div>
+  )
+
+  if (candidates.length < 2) {
+    return (
+      <Card className="mb-6">
+        {header}
+        <p className="text-sm text-slate-500 dark:text-slate-400">
+          Save locations with the star in the header to compare them side by side.
+        </p>
+      </Card>
+    )
+  }
+
+  // Only the columns still picked, in case a refresh is under way
+  const shown = (columns || []).filter((column) => compared.some(({ id }) => id === column.location.id))
+  const loaded = shown.filter((column) => !column.error)
+  const timeZone = loaded[0]?.timeZone
+  const hours = upcomingHours(24)
+  const hourIndex = alignHours(shown, hours)
+  const dates = loaded[0]?.daily?.time.slice(0, COMPARISON_DAYS) || []
+  const dayIndex = shown.map((column) => dates.map((date) => column.daily?.time.indexOf(date) ?? -1))
+  const daily = (column, field, i) => (column.daily && dayIndex[i][0] !== -1 ? column.daily[field][dayIndex[i][0]] : null)
+
+  const nowSeverity = shown.map((column) => column.current && conditionSeverity({ code: column.current.weather_code }) + column.current.wind_speed_10m)
+  const highs = shown.map((column, i) => daily(column, 'temperature_2m_max', i))
+  const lows = shown.map((column, i) => daily(column, 'temperature_2m_min', i))
+  const starts = shown.map((column, i) => precipitationStart(column, hourIndex[i][0]))
+  const snowTotals = shown.map((column) => (column.daily ? column.daily.snowfall_sum.reduce((sum, value) => sum + (value || 0), 0) : null))
+  const alerts = shown.map((column) => worstAlert(column.alerts))
+  const hourSeverity = (column, index) => (index === -1 ? null : conditionSeverity({
+    code: column.hourly.weather_code[index],
+    probability: column.hourly.precipitation_probability?.[index],
+    amount: column.hourly.precipitation?.[index],
+  }))
+
+  const worst = {
+    now: worstOf(nowSeverity),
+    high: worstOf(highs),
+    low: worstOf(lows.map((value) => (value === null ? null : -value))),
+    // The earliest start is the worst; no precipitation at all counts for nothing
+    start: worstOf(starts.map((index, i) => (index === -1 ? null : -shown[i].instants[index]))),
+    snow: worstOf(snowTotals, 0),
+    alerts: worstOf(alerts.map(({ rank }) => rank), 0),
+  }
+  const cell = (highlight) => `px-3 py-2 text-center whitespace-nowrap ${highlight ? WORST_CELL : 'text-slate-700 dark:text-slate-200'}`
+  const label = 'px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 whitespace-nowrap sticky left-0 bg-white dark:bg-slate-800'
+  const hourLabel = (at) => formatInstant(at, timeZone, { weekday: 'short', hour: 'numeric' })
+  const startLabel = (column, index) => (index === -1 ? 'None' : formatInstant(column.instants[index], timeZone, { weekday: 'short', hour: 'numeric' }))
+
+  return (
+    <Card className="mb-6">
+      {header}
+      <div className="flex flex-wrap gap-2 mb-3">
+        {candidates.map((place) => {
+          const on = compared.some(({ id }) => id === place.id)
+          return (
+            <button
+              key={place.id}
+              onClick={() => toggle(place.id)}
+              disabled={!on && compared.length >= MAX_COMPARED}
+              className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-40 ${
+                on
+                  ? 'bg-blue-500 border-blue-500 text-white'
+                  : 'bg-slate-50 dark:bg-slate-700 border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-300'
+              }`}
+            >
+              {place.name}
+            </button>
+          )
+        })}
+      </div>
+
+      {compared.length < 2 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">Pick two locations or more.</p>
+      ) : !columns ? (
+        <LoadingSpinner />
+      ) : (
+        <div className="overflow-x-auto scrollbar-thin">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-100 dark:border-slate-700">
+                <th className={label}></th>
+                {shown.map(({ location: place }) => (
+                  <th key={place.id} className="px-3 py-2 text-center font-semibold text-slate-700 dark:text-slate-200 whitespace-nowrap">{place.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50 dark:divide-slate-700/50">
+              <tr>
+                <td className={label}>Now</td>
+                {shown.map((column, i) => {
+                  if (column.error) return <td key={i} className={cell(false)}><span className="text-xs text-slate-400">{column.error}</span></td>
+                  const Icon = getWeatherIconFromCode(column.current.weather_code, column.current.is_day !== 0)
+                  return (
+                    <td key={i} className={cell(worst.now.has(i))} title={getWeatherDescription(column.current.weather_code)}>
+                      <span className="inline-flex items-center gap-1">
+                        <Icon className="w-4 h-4" />
+                        {Math.round(column.current.temperature_2m)}°
+                        <span className="text-xs opacity-70">feels {Math.round(column.current.apparent_temperature)}° · {Math.round(column.current.wind_speed_10m)} mph</span>
+                      </span>
+                    </td>
+                  )
+                })}
+              </tr>
+              <tr>
+                <td className={label}>Today</td>
+                {shown.map((column, i) => (
+                  <td key={i} className={cell(false)}>
+                    {highs[i] !== null && (
+                      <>
+                        <span className={`px-1 rounded ${worst.high.has(i) ? WORST_CELL : ''}`}>{Math.round(highs[i])}°</span>
+                        {' / '}
+                        <span className={`px-1 rounded ${worst.low.has(i) ? WORST_CELL : ''}`}>{Math.round(lows[i])}°</span>
+                      </>
+                    )}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className={label}>Precip starts</td>
+                {shown.map((column, i) => (
+                  <td key={i} className={cell(worst.start.has(i))}>{column.error ? '' : startLabel(column, starts[i])}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className={label}>Snow ({COMPARISON_DAYS} days)</td>
+                {shown.map((column, i) => (
+                  <td key={i} className={cell(worst.snow.has(i))}>{snowTotals[i] === null ? '' : `${snowTotals[i].toFixed(1)}"`}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className={label}>Alerts</td>
+                {shown.map((column, i) => (
+                  <td key={i} className={cell(worst.alerts.has(i))}>
+                    {column.error ? ''
+                      : column.alerts === null ? <span className="text-xs text-slate-400">n/a</span>
+                      : column.alerts.length === 0 ? 'None'
+                      : `${alerts[i].alert.properties.event}${column.alerts.length > 1 ? ` +${column.alerts.length - 1}` : ''}`}
+                  </td>
+                ))}
+              </tr>
+
+              {hours.map((at, row) => {
+                const severities = shown.map((column, i) => (column.error ? null : hourSeverity(column, hourIndex[i][row])))
+                const worstHour = worstOf(severities, 0)
+                return (
+                  <tr key={at}>
+                    <td className={label}>{hourLabel(at)}</td>
+                    {shown.map((column, i) => {
+                      const index = hourIndex[i][row]
+                      if (column.error || index === -1) return <td key={i} className={cell(false)}></td>
+                      const Icon = getWeatherIconFromCode(column.hourly.weather_code[index], column.hourly.is_day?.[index] !== 0)
+                      const chance = column.hourly.precipitation_probability?.[index]
+                      return (
+                        <td key={i} className={cell(worstHour.has(i))}>
+                          <span className="inline-flex items-center gap-1">
+                            <Icon className="w-3.5 h-3.5" />
+                            {Math.round(column.hourly.temperature_2m[index])}°
+                            {chance > 0 && <span className="text-xs opacity-70">{chance}%</span>}
+                          </span>
+                        </td>
+                      )
+                    })}
+                  </tr>
+                )
+              })}
+
+              {dates.map((date, row) => {
+                const values = shown.map((column, i) => {
+                  const index = dayIndex[i][row]
+                  return column.error || index === -1 ? null : {
+                    code: column.daily.weather_code[index],
+                    high: column.daily.temperature_2m_max[index],
+                    low: column.daily.temperature_2m_min[index],
+                    precipitation: column.daily.precipitation_sum[index],
+                    snow: column.daily.snowfall_sum[index],
+                    probability: column.daily.precipitation_probability_max?.[index],
+                  }
+                })
+                const worstDay = worstOf(values.map((day) => day && conditionSeverity({
+                  code: day.code,
+                  probability: day.probability,
+                  amount: day.precipitation,
+                })), 0)
+                return (
+                  <tr key={date}>
+                    <td className={label}>{formatLocal(date, { weekday: 'short', month: 'numeric', day: 'numeric' })}</td>
+                    {values.map((day, i) => {
+                      if (!day) return <td key={i} className={cell(false)}></td>
+                      const Icon = getWeatherIconFromCode(day.code)
+                      return (
+                        <td key={i} className={cell(worstDay.has(i))}>
+                          <span className="inline-flex items-center gap-1">
+                            <Icon className="w-3.5 h-3.5" />
+                            {Math.round(day.high)}°/{Math.round(day.low)}°
+                            {day.snow >= 0.1 ? <span className="text-xs opacity-70">{day.snow.toFixed(1)}" snow</span>
+                              : day.precipitation >= 0.01 && <span className="text-xs opacity-70">{day.precipitation.toFixed(2)}"</span>}
+                          </span>
+                        </td>
+                      )
+                    })}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  )
+}
+
 export default function App() {
-  const [location, setLocation] = useState(DEFAULT_LOCATION)
+  // Where the last session left off, until geolocation says otherwise
+  const [location, setLocation] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('last_location')) || DEFAULT_LOCATION
+    } catch {
+      return DEFAULT_LOCATION
+    }
+  })
+  // Saved locations (src/lib/savedLocations.js), synced to the account when signed in
+  const [saved, setSaved] = useState(loadSavedLocations)
   const [searchQuery, setSearchQuery] = useState('')
   const [searchResults, setSearchResults] = useState([])
   const [showResults, setShowResults] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
-  const [nwsGrid, setNwsGrid] = useState(null)
-  const [forecast, setForecast] = useState(null)
-  const [hourlyForecast, setHourlyForecast] = useState(null)
   const [alerts, setAlerts] = useState([])
   const [modelData, setModelData] = useState(null)
   const [dailyForecast, setDailyForecast] = useState(null)
   const [airQuality, setAirQuality] = useState(null)
+  // Features this location can't have ({ nws: reason } outside the US)
+  const [unavailable, setUnavailable] = useState({})
+  // Fallbacks taken for the current document, by part (see api/forecast.js)
+  const [degraded, setDegraded] = useState([])
   const [locating, setLocating] = useState(false)
+  // How the daily forecast is blended (src/lib/strategies.js), remembered per browser
+  const [strategy, setStrategy] = useState(() => {
+    const saved = localStorage.getItem('blend_strategy')
+    return saved && STRATEGIES[saved] ? saved : DEFAULT_STRATEGY
+  })
+  // Local bias correction of model temperatures (src/lib/correction.js), remembered per browser
+  const [correcting, setCorrecting] = useState(() => localStorage.getItem('bias_correction') === 'on')
+  // { key, bias } for the location the estimate was made for
+  const [correction, setCorrection] = useState(null)
+  // When the forecast on screen was made, and whether it's a saved snapshot
+  // still waiting for its refresh
+  const [updated, setUpdated] = useState(null)
+  // The request whose document is on screen; null while that's a snapshot
+  const shownForecastUrl = useRef(null)
+  // locationKey of the location whose forecast is on screen
+  const shownLocation = useRef(null)
+  // Every load for the current location shares this; it's aborted when the
+  // location changes, so an old location's answer can never be shown
+  const loadController = useRef(null)
+  const degradedFor = (...parts) => degraded.filter((note) => parts.includes(note.part))
+
+  // Put a forecast document on screen. Each part stands on its own: whatever
+  // the server got is shown, and a part it couldn't get replaces the previous
+  // location's rather than leaving it on screen.
+  const showForecast = useCallback((data, fromSnapshot) => {
+    setAlerts(data.alerts)
+    setUnavailable(data.unavailable || {})
+    setDegraded(data.degraded || [])
+    const notes = (part) => (data.degraded || []).filter((note) => note.part === part)
+    setModelData(data.current || data.hourly ? {
+      current: data.current,
+      current_units: data.current_units,
+      hourly: data.hourly,
+      hourly_units: data.hourly_units,
+      provenance: { current: data.provenance.current, hourly: data.provenance.hourly },
+      degraded: { current: notes('current'), hourly: notes('hourly') },
+      timeZone: data.location.timeZone,
+    } : null)
+    setDailyForecast(data.daily ? {
+      daily: data.daily,
+      units: data.daily_units,
+      provenance: data.provenance.daily,
+      degraded: notes('daily'),
+      location: { lat: data.location.latitude, lon: data.location.longitude },
+      timeZone: data.location.timeZone,
+      fromSnapshot,
+    } : null)
+    setAirQuality(data.airQuality)
+    setUpdated({ at: data.generatedAt, fromSnapshot })
+    shownLocation.current = locationKey({ lat: data.location.latitude, lon: data.location.longitude })
+    // A snapshot isn't any request's answer, so even an unchanged refresh redraws over it
+    if (fromSnapshot) shownForecastUrl.current = null
+  }, [])
 
-  const fetchWeatherData = useCallback(async (loc) => {
+  // Resolves to the time the forecast on screen is from, for the scheduler
+  const fetchWeatherData = useCallback(async (loc, blend) => {
+    const signal = loadController.current?.signal
     setLoading(true)
     setError(null)
 
     try {
-      // 1. Get NWS grid point
-      const pointsRes = await fetch(
-        `https://api.weather.gov/points/${loc.lat},${loc.lon}`,
-        { headers: { 'User-Agent': 'WeatherDashboard/1.0' } }
-      )
-      if (!pointsRes.ok) throw new Error('Failed to get NWS grid data')
-      const pointsData = await pointsRes.json()
-      setNwsGrid(pointsData)
-
-      const { gridId, gridX, gridY } = pointsData.properties
-      const forecastUrl = pointsData.properties.forecast
-      const hourlyUrl = pointsData.properties.forecastHourly
-
-      // 2. Fetch forecast, hourly, alerts, and model data in parallel
-      // Add cache-busting timestamp to prevent stale data
-      const cacheBust = `&_t=${Date.now()}`
-      const noCacheOpts = { cache: 'no-store' }
-      const nwsOpts = { headers: { 'User-Agent': 'WeatherDashboard/1.0' }, cache: 'no-store' }
-
-      // NWS gridpoints URL for raw min/max temperature data
-      const gridpointsUrl = `https://api.weather.gov/gridpoints/${gridId}/${gridX},${gridY}`
-
-      const [forecastRes, hourlyRes, alertsRes, gridpointsRes, modelRes, seasonalRes, gemRes, aqiRes] = await Promise.all([
-        fetch(forecastUrl, nwsOpts),
-        fetch(hourlyUrl, nwsOpts),
-        fetch(`https://api.weather.gov/alerts/active?point=${loc.lat},${loc.lon}`, nwsOpts),
-        fetch(gridpointsUrl, nwsOpts),
-        fetch(
-          `https://api.open-meteo.com/v1/gfs?latitude=${loc.lat}&longitude=${loc.lon}` +
-            `&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,` +
-            `weather_code,surface_pressure,wind_speed_10m,wind_direction_10m` +
-            `&hourly=temperature_2m,relative_humidity_2m,precipitation_probability,` +
-            `precipitation,weather_code,wind_speed_10m,wind_direction_10m,cape,snowfall` +
-            `&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=America/New_York` +
-            cacheBust,
-          noCacheOpts
-        ),
-        // WeatherAPI.com for accurate daily forecasts (14 days) — via server-side proxy
-        fetch(
-          `/api/weather?endpoint=forecast.json&q=${loc.lat},${loc.lon}&days=14`,
-          noCacheOpts
-        ),
-        // Canadian GEM model for snowfall data
-        fetch(
-          `https://api.open-meteo.com/v1/gem?latitude=${loc.lat}&longitude=${loc.lon}` +
-            `&daily=snowfall_sum,sunrise,sunset,uv_index_max` +
-            `&timezone=America/New_York&forecast_days=16` +
-            cacheBust,
-          noCacheOpts
-        ),
-        // Air quality data
-        fetch(
-          `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${loc.lat}&longitude=${loc.lon}` +
-            `&current=us_aqi,pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,ozone` +
-            `&timezone=America/New_York` +
-            cacheBust,
-          noCacheOpts
-        ),
-      ])
-
-      let nwsForecastData = null
-      let nwsHourlyData = null
-      let nwsGridpointsData = null
-      if (forecastRes.ok) {
-        nwsForecastData = await forecastRes.json()
-        setForecast(nwsForecastData)
-      }
-      if (hourlyRes.ok) {
-        nwsHourlyData = await hourlyRes.json()
-        setHourlyForecast(nwsHourlyData)
-      }
-      if (gridpointsRes.ok) {
-        nwsGridpointsData = await gridpointsRes.json()
-      }
-      if (alertsRes.ok) {
-        const alertsData = await alertsRes.json()
-        setAlerts(alertsData.features || [])
-      }
-      if (modelRes.ok) setModelData(await modelRes.json())
-
-      // Parse GEM and ECMWF data for extended forecast
-      const ecmwfData = seasonalRes.ok ? await seasonalRes.json() : null
-      const gemData = gemRes.ok ? await gemRes.json() : null
-
-      // Build daily forecast using METEOROLOGICAL DAY calculation from NWS hourly
-      const dailyResult = {
-        time: [],
-        weather_code: [],
-        temperature_2m_max: [],
-        temperature_2m_min: [],
-        snowfall_sum: [],
-        precipitation_sum: [],
-        precipitation_probability_max: [],
-        sunrise: [],
-        sunset: [],
-        uv_index_max: [],
-      }
-
-      // Calculate meteorological day temps from NWS hourly (days 0-7)
-      if (nwsHourlyData?.properties?.periods) {
-        const meteoDaily = calculateMeteorologicalDay(nwsHourlyData.properties.periods)
-
-        // Get weather codes from NWS forecast periods
-        const nwsCodesByDate = new Map()
-        if (nwsForecastData?.properties?.periods) {
-          for (const period of nwsForecastData.properties.periods) {
-            if (period.isDaytime) {
-              const dateStr = period.startTime.split('T')[0]
-              nwsCodesByDate.set(dateStr, nwsTextToWmoCode(period.shortForecast))
-            }
-          }
-        }
-
-        // Build WeatherAPI lookup for precip data (their precip is reliable even if temps use different boundaries)
-        const weatherApiByDate = new Map()
-        if (ecmwfData?.forecast?.forecastday) {
-          for (const day of ecmwfData.forecast.forecastday) {
-            weatherApiByDate.set(day.date, day)
-          }
-        }
-
-        console.log('[Weather] Using NWS meteorological day temps for', meteoDaily.time.length, 'days')
-        for (let i = 0; i < meteoDaily.time.length; i++) {
-          const dateStr = meteoDaily.time[i]
-          const waDay = weatherApiByDate.get(dateStr)
-          dailyResult.time.push(dateStr)
-          dailyResult.weather_code.push(nwsCodesByDate.get(dateStr) ?? meteoDaily.code[i] ?? 2)
-          dailyResult.temperature_2m_max.push(meteoDaily.high[i])
-          dailyResult.temperature_2m_min.push(meteoDaily.low[i])
-          // Use WeatherAPI precip data (more reliable than hardcoding 0)
-          dailyResult.precipitation_sum.push(waDay?.day?.totalprecip_in || 0)
-          dailyResult.precipitation_probability_max.push(waDay?.day?.daily_chance_of_rain || waDay?.day?.daily_chance_of_snow || 0)
-          dailyResult.snowfall_sum.push(waDay?.day?.totalsnow_cm ? waDay.day.totalsnow_cm : 0)
-          dailyResult.sunrise.push(waDay?.astro?.sunrise || null)
-          dailyResult.sunset.push(waDay?.astro?.sunset || null)
-          dailyResult.uv_index_max.push(waDay?.day?.uv || null)
-          if (i === 0) {
-            console.log('[Weather] Day 1:', dateStr, 'High:', meteoDaily.high[i], 'Low:', meteoDaily.low[i], 'Precip:', waDay?.day?.daily_chance_of_rain || 0, '%')
-          }
-        }
-      }
-
-      // Add ECMWF data for days beyond NWS coverage (days 8+)
-      const nwsEndDate = dailyResult.time[dailyResult.time.length - 1] || ''
-      if (ecmwfData?.forecast?.forecastday) {
-        // WeatherAPI format (if we kept that fetch)
-        for (const day of ecmwfData.forecast.forecastday) {
-          if (day.date <= nwsEndDate) continue
-          dailyResult.time.push(day.date)
-          dailyResult.weather_code.push(2)
-          dailyResult.temperature_2m_max.push(Math.round(day.day.maxtemp_f))
-          dailyResult.temperature_2m_min.push(Math.round(day.day.mintemp_f))
-          dailyResult.precipitation_sum.push(day.day.totalprecip_in || 0)
-          dailyResult.precipitation_probability_max.push(day.day.daily_chance_of_rain || 0)
-          dailyResult.snowfall_sum.push((day.day.totalsnow_cm || 0) / 2.54)
-          dailyResult.sunrise.push(day.astro?.sunrise || null)
-          dailyResult.sunset.push(day.astro?.sunset || null)
-          dailyResult.uv_index_max.push(day.day.uv || null)
-        }
-      } else if (gemData?.daily?.time) {
-        // GEM format fallback for extended forecast
-        for (let i = 0; i < gemData.daily.time.length; i++) {
-          const dateStr = gemData.daily.time[i]
-          if (dateStr <= nwsEndDate) continue
-          dailyResult.time.push(dateStr)
-          dailyResult.weather_code.push(2)
-          dailyResult.temperature_2m_max.push(Math.round(gemData.daily.temperature_2m_max?.[i] ?? 50))
-          dailyResult.temperature_2m_min.push(Math.round(gemData.daily.temperature_2m_min?.[i] ?? 40))
-          dailyResult.precipitation_sum.push(gemData.daily.precipitation_sum?.[i] ?? 0)
-          dailyResult.precipitation_probability_max.push(0)
-          dailyResult.snowfall_sum.push(gemData.daily.snowfall_sum?.[i] ?? 0)
-          dailyResult.sunrise.push(gemData.daily.sunrise?.[i] ?? null)
-          dailyResult.sunset.push(gemData.daily.sunset?.[i] ?? null)
-          dailyResult.uv_index_max.push(gemData.daily.uv_index_max?.[i] ?? null)
-        }
-      }
-
-      // Merge GEM snowfall if higher (GEM often better for snow in Northeast)
-      if (gemData?.daily?.snowfall_sum) {
-        const gemTimes = gemData.daily.time || []
-        for (let i = 0; i < dailyResult.time.length; i++) {
-          const gemIdx = gemTimes.indexOf(dailyResult.time[i])
-          if (gemIdx !== -1) {
-            const gemSnow = gemData.daily.snowfall_sum[gemIdx] || 0
-            dailyResult.snowfall_sum[i] = Math.max(dailyResult.snowfall_sum[i], gemSnow)
-          }
-        }
-      }
-
-      // Set the daily forecast
-      if (dailyResult.time.length > 0) {
-        console.log('[Weather] Daily forecast set with', dailyResult.time.length, 'days. First day:', dailyResult.time[0], dailyResult.temperature_2m_max[0] + '/' + dailyResult.temperature_2m_min[0])
-        setDailyForecast({ daily: dailyResult })
-      } else if (gemData?.daily) {
-        // Fallback to GEM-only if NWS hourly fails
-        console.warn('[Weather] FALLBACK: Using GEM data instead of NWS - temps may differ from weather.gov')
-        setDailyForecast(gemData)
+      // The server fetches every source and blends them into one document (see
+      // api/forecast.js). A refresh that overlaps another load of the same
+      // location shares its request.
+      const url = `/api/forecast?${new URLSearchParams({ lat: loc.lat, lon: loc.lon, strategy: blend })}`
+      const { res, data, error, unchanged } = await fetchRevalidated(url, { signal })
+      if (signal?.aborted) return
+      if (!res.ok && !unchanged) {
+        setError(error)
+        return
       }
-
-      if (aqiRes.ok) setAirQuality(await aqiRes.json())
+      // Nothing new since this location was last shown - keep the current state as it is
+      if (unchanged && shownForecastUrl.current === url) return Date.parse(data.generatedAt)
+      shownForecastUrl.current = url
+      showForecast(data, false)
+      // Kept for the next launch; without IndexedDB there's simply no snapshot
+      saveSnapshot(loc, data).catch(() => {})
+      return Date.parse(data.generatedAt)
     } catch (err) {
+      // A newer location took over; its own load owns the state now
+      if (isAbort(err)) return
+      // fetch() itself only fails when our own API can't be reached (after retries)
       console.error('Error fetching weather data:', err)
-      setError(err.message)
+      setError({ message: 'Could not reach the weather service. Check your connection.', retryable: true })
     } finally {
-      setLoading(false)
+      if (!signal?.aborted) setLoading(false)
     }
-  }, [])
+  }, [showForecast])
 
   useEffect(() => {
-    fetchWeatherData(location)
-    // Auto-refresh forecast every 15 minutes
-    const interval = setInterval(() => {
-      fetchWeatherData(location)
-    }, 15 * 60 * 1000)
-    return () => clearInterval(interval)
-  }, [location, fetchWeatherData])
+    const controller = new AbortController()
+    loadController.current = controller
+    // Until the fresh forecast arrives, draw the last known one for this
+    // location, unless it's already on screen
+    loadSnapshot(location)
+      .then((snapshot) => {
+        if (!snapshot || controller.signal.aborted || shownLocation.current === locationKey(location)) return
+        showForecast(snapshot.document, true)
+      })
+      .catch(() => {})
+    // Refreshed whenever NWS or GFS may have something new (src/lib/scheduler.js)
+    const stop = schedule('forecast', () => fetchWeatherData(location, strategy))
+    return () => {
+      stop()
+      controller.abort()
+    }
+  }, [location, strategy, fetchWeatherData, showForecast])
+
+  // Remembered so the next launch starts here, on this location's snapshot
+  useEffect(() => {
+    localStorage.setItem('last_location', JSON.stringify(location))
+  }, [location])
+
+  // Save each day's forecasts for verification. Only the default blend is
+  // archived, so the blended scores don't mix strategies, and never a
+  // snapshot, which may be from hours ago.
+  useEffect(() => {
+    if (!dailyForecast || dailyForecast.fromSnapshot || strategy !== DEFAULT_STRATEGY) return
+    const controller = new AbortController()
+    archiveForecasts(providersFor(controller.signal), dailyForecast.location, {
+      timeZone: dailyForecast.timeZone,
+      blended: dailyForecast.daily,
+      signal: controller.signal,
+    }).catch((err) => {
+      if (!isAbort(err)) console.error('Failed to archive forecasts:', err)
+    })
+    return () => controller.abort()
+  }, [dailyForecast, strategy])
+
+  // Estimate the local temperature bias while correction is on
+  const timeZone = modelData?.timeZone
+  useEffect(() => {
+    if (!correcting || !timeZone) return
+    const controller = new AbortController()
+    const key = `${location.lat},${location.lon}`
+    estimateBias(providersFor(controller.signal), { lat: location.lat, lon: location.lon }, { timeZone })
+      .then((bias) => setCorrection({ key, bias }))
+      .catch((err) => {
+        if (isAbort(err)) return
+        console.error('Failed to estimate temperature bias:', err)
+        setCorrection({ key, bias: null })
+      })
+    return () => controller.abort()
+  }, [correcting, location.lat, location.lon, timeZone])
+
+  const toggleCorrection = () => {
+    localStorage.setItem('bias_correction', correcting ? 'off' : 'on')
+    setCorrecting(!correcting)
+  }
+
+  const changeStrategy = (id) => {
+    localStorage.setItem('blend_strategy', id)
+    setStrategy(id)
+  }
 
   // Auto-detect location on initial load
   useEffect(() => {
@@ -3598,7 +4103,7 @@ export default function App() {
         const { latitude, longitude } = position.coords
         try {
           const reverseRes = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json`
+            proxyUrl('nominatim', 'reverse', { lat: latitude, lon: longitude, format: 'json' })
           )
           const reverseData = await reverseRes.json()
           const name = reverseData.address?.city ||
@@ -3643,7 +4148,7 @@ export default function App() {
       if (zipMatch) {
         // Use Zippopotam.us API for zip codes
         const zipCode = zipMatch[1]
-        const zipRes = await fetch(`https://api.zippopotam.us/us/${zipCode}`)
+        const zipRes = await fetch(proxyUrl('zippopotam', `us/${zipCode}`))
         if (zipRes.ok) {
           const zipData = await zipRes.json()
           if (zipData.places && zipData.places.length > 0) {
@@ -3665,7 +4170,7 @@ export default function App() {
 
       // Fall back to Open-Meteo for city names
       const res = await fetch(
-        `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=5&language=en&format=json`
+        proxyUrl('geocoding', 'search', { name: query, count: 5, language: 'en', format: 'json' })
       )
       const data = await res.json()
       setSearchResults(data.results || [])
@@ -3675,6 +4180,11 @@ export default function App() {
     }
   }
 
+  const changeSaved = useCallback((next) => {
+    storeSavedLocations(next)
+    setSaved(next)
+  }, [])
+
   const selectLocation = (result) => {
     setLocation({
       name: `${result.name}, ${result.admin1 || result.country}`,
@@ -3689,7 +4199,7 @@ export default function App() {
 
   const handleGeolocate = useCallback(() => {
     if (!navigator.geolocation) {
-      setError('Geolocation is not supported by your browser')
+      setError({ message: 'Geolocation is not supported by your browser' })
       return
     }
 
@@ -3700,11 +4210,11 @@ export default function App() {
         // Reverse geocode to get location name
         try {
           const res = await fetch(
-            `https://geocoding-api.open-meteo.com/v1/search?name=${latitude.toFixed(2)},${longitude.toFixed(2)}&count=1`
+            proxyUrl('geocoding', 'search', { name: `${latitude.toFixed(2)},${longitude.toFixed(2)}`, count: 1 })
           )
           // Use reverse geocoding
           const reverseRes = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json`
+            proxyUrl('nominatim', 'reverse', { lat: latitude, lon: longitude, format: 'json' })
           )
           const reverseData = await reverseRes.json()
           const name = reverseData.address?.city ||
@@ -3731,7 +4241,7 @@ export default function App() {
         setLocating(false)
       },
       (err) => {
-        setError('Unable to get your location: ' + err.message)
+        setError({ message: 'Unable to get your location: ' + err.message })
         setLocating(false)
       },
       { enableHighAccuracy: true, timeout: 10000 }
@@ -3790,8 +4300,18 @@ export default function App() {
               )}
             </div>
 
+            <SavedLocations
+              saved={saved}
+              location={location}
+              onSelect={({ name, lat, lon, state }) => setLocation({ name, lat, lon, state })}
+              onChange={changeSaved}
+            />
+
             <button
-              onClick={() => fetchWeatherData(location)}
+              onClick={() => {
+                refreshNow('forecast')
+                refreshNow('comparison')
+              }}
               className="p-2 rounded-full bg-slate-50 dark:bg-slate-800 hover:bg-blue-50 dark:hover:bg-slate-700 transition-colors"
               title="Refresh data"
             >
@@ -3801,6 +4321,7 @@ export default function App() {
             {/* User Auth - only show if Clerk is configured */}
             {import.meta.env.VITE_CLERK_PUBLISHABLE_KEY && (
               <>
+                <SavedLocationsSync saved={saved} onRemote={changeSaved} />
                 <SignedOut>
                   <SignInButton mode="modal">
                     <button className="flex items-center gap-2 p-2 sm:px-3 sm:py-2 rounded-full bg-blue-500 hover:bg-blue-600 transition-colors text-white shadow-md shadow-blue-200 dark:shadow-none">
@@ -3830,42 +4351,88 @@ export default function App() {
         {error && (
           <Card className="mb-6 border-rose-500/30 bg-rose-500/10">
             <div className="flex items-center gap-3 text-rose-400">
-              <AlertTriangle className="w-5 h-5" />
-              <span>{error}</span>
+              <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p>{error.message}</p>
+                {error.retryable && (
+                  <p className="text-sm text-rose-400/80">This is usually temporary - we'll try again on the next refresh.</p>
+                )}
+                {error.requestId && (
+                  <p className="text-xs text-rose-400/60 font-mono truncate">Reference: {error.requestId}</p>
+                )}
+              </div>
+              {error.retryable && (
+                <button
+                  onClick={() => refreshNow('forecast')}
+                  className="px-3 py-1 rounded-lg text-sm bg-rose-500/20 hover:bg-rose-500/30 transition-colors"
+                >
+                  Retry
+                </button>
+              )}
+            </div>
+          </Card>
+        )}
+
+        {unavailable.nws && (
+          <Card className="mb-6 border-sky-500/30 bg-sky-500/10">
+            <div className="flex items-center gap-3 text-sky-600 dark:text-sky-300 text-sm">
+              <Navigation className="w-5 h-5 flex-shrink-0" />
+              <p>
+                {unavailable.nws}. Showing the forecast from Open-Meteo and WeatherAPI.com instead;
+                NWS alerts and NOAA satellite imagery are hidden.
+              </p>
             </div>
           </Card>
         )}
 
         {/* Quick Stats at top */}
+        <UpdatedStamp updated={updated} loading={loading} timeZone={modelData?.timeZone} />
+        <DegradedNote notes={degradedFor('current')} />
         <div className="mb-4">
           <QuickStats modelData={modelData} dailyForecast={dailyForecast} location={location} />
         </div>
 
         {/* Air Quality */}
+        <DegradedNote notes={degradedFor('airQuality')} />
         <AirQualityCard airQuality={airQuality} />
 
         {/* Weather Alerts */}
+        <DegradedNote notes={degradedFor('alerts')} />
         <AlertBanner alerts={alerts} />
 
         {/* Hourly Forecast Strip (Next 24 Hours) */}
-        <HourlyStrip modelData={modelData} dailyForecast={dailyForecast} />
+        <DegradedNote notes={degradedFor('hourly')} />
+        <HourlyStrip
+          modelData={modelData}
+          dailyForecast={dailyForecast}
+          correction={correcting
+            ? { bias: correction?.key === `${location.lat},${location.lon}` ? correction.bias : undefined }
+            : null}
+          onToggleCorrection={toggleCorrection}
+        />
 
         {/* Satellite Loop (NOAA) */}
-        <div className="mb-6">
-          <SatelliteLoop location={location} />
-        </div>
+        {!unavailable.nws && (
+          <div className="mb-6">
+            <SatelliteLoop location={location} />
+          </div>
+        )}
 
         {/* Radar */}
         <div className="mb-6">
-          <MiniRadar location={location} />
+          <MiniRadar location={location} timeZone={modelData?.timeZone} />
         </div>
 
         {/* 10-Day Forecast Strip */}
-        {dailyForecast && <TenDayStrip dailyForecast={dailyForecast} />}
+        <DegradedNote notes={degradedFor('daily')} />
+        {dailyForecast && <TenDayStrip dailyForecast={dailyForecast} strategy={strategy} onStrategyChange={changeStrategy} />}
 
         {/* Calendar Month View */}
         {dailyForecast && <CalendarMonth dailyForecast={dailyForecast} />}
 
+        {/* Side-by-side locations */}
+        <LocationComparison location={location} saved={saved} />
+
         {/* Storm Model Comparison */}
         <div className="mb-6">
           <StormModelComparison location={location} />
@@ -3878,7 +4445,9 @@ export default function App() {
           dailyForecast={dailyForecast}
           airQuality={airQuality}
           alerts={alerts}
+          unavailable={unavailable}
         />
+        <VerificationPanel location={location} timeZone={modelData?.timeZone} />
       </main>
 
       {/* Footer */}
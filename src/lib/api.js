@@ -0,0 +1,159 @@
+import { createProviders } from './providers/index.js'
+
+// All weather APIs are called through the server-side proxy (api/weather.js),
+// which owns upstream whitelisting, caching, API keys and the NWS User-Agent
+export const proxyUrl = (upstream, endpoint, params = {}) =>
+  `/api/weather?${new URLSearchParams({ upstream, endpoint, ...params })}`
+
+// Failed API calls answer with an error envelope (api/_lib/errors.js) - turn one
+// into something the error banner can describe. Non-JSON bodies get a generic message.
+export const readApiError = async (res) => {
+  const body = await res.json().catch(() => null)
+  return {
+    message: body?.error || `Request failed (${res.status})`,
+    retryable: body?.retryable ?? res.status >= 500,
+    requestId: body?.requestId || res.headers.get('X-Request-Id'),
+  }
+}
+
+// Our API retries the upstreams itself (api/_lib/proxy.js), so the browser only
+// retries its own hop: network failures, and statuses from our API or Vercel
+// that didn't come from an upstream
+const RETRY_STATUSES = [429, 502, 503, 504]
+const MAX_ATTEMPTS = 3
+const RETRY_BASE_MS = 500
+// Waits longer than this (a Retry-After until tomorrow's quota) aren't worth it
+const MAX_RETRY_WAIT_MS = 10000
+
+// Is this an error from cancelling a request (which nobody needs to hear about)?
+export const isAbort = (error) => error?.name === 'AbortError'
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const done = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', done)
+    resolve()
+  }, ms)
+  signal?.addEventListener('abort', done, { once: true })
+})
+
+// Exponential backoff with full jitter
+const backoff = (attempt) => Math.random() * RETRY_BASE_MS * 2 ** (attempt - 1)
+
+// fetch(), tried again after transient failures. Honors Retry-After.
+async function fetchWithRetry(url, init) {
+  for (let attempt = 1; ; attempt++) {
+    let res
+    try {
+      res = await fetch(url, init)
+    } catch (error) {
+      if (isAbort(error) || attempt >= MAX_ATTEMPTS) throw error
+      await sleep(backoff(attempt), init.signal)
+      continue
+    }
+    if (!RETRY_STATUSES.includes(res.status) || attempt >= MAX_ATTEMPTS) return res
+    const body = await res.clone().json().catch(() => null)
+    if (body?.provider || body?.retryable === false) return res
+    const retryAfter = Number(res.headers.get('Retry-After'))
+    const wait = retryAfter > 0 ? retryAfter * 1000 : backoff(attempt)
+    if (wait > MAX_RETRY_WAIT_MS) return res
+    await sleep(wait, init.signal)
+  }
+}
+
+// Requests in flight by URL. Everyone asking for the same URL meanwhile shares
+// one request. A caller's signal only lets that caller go; the request itself
+// is aborted once nobody is left waiting for it.
+const inflight = new Map()
+
+function sharedRequest(url, headers, signal) {
+  const key = `${url} ${headers?.['If-None-Match'] || ''}`
+  let entry = inflight.get(key)
+  if (!entry) {
+    const controller = new AbortController()
+    const promise = fetchWithRetry(url, { headers, signal: controller.signal }).then(async (res) => ({
+      res,
+      data: res.ok ? await res.json() : null,
+      error: res.ok || res.status === 304 ? null : await readApiError(res),
+    }))
+    entry = { controller, waiting: 0, promise }
+    inflight.set(key, entry)
+    promise.catch(() => {}).finally(() => {
+      if (inflight.get(key) === entry) inflight.delete(key)
+    })
+  }
+
+  const joined = entry
+  joined.waiting++
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      reject(signal.reason)
+      if (--joined.waiting > 0) return
+      joined.controller.abort(signal.reason)
+      if (inflight.get(key) === joined) inflight.delete(key)
+    }
+    if (signal?.aborted) return leave()
+    signal?.addEventListener('abort', leave, { once: true })
+    joined.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', leave))
+  })
+}
+
+// Last body and ETag per URL, so periodic refreshes can revalidate with
+// If-None-Match. A 304 from the API reuses the body we already have and is
+// reported as `unchanged`, letting callers that already show that body skip
+// their state updates (and the re-render). Resolves to
+// { res, data, error, unchanged } with `error` from readApiError for a failed
+// request; rejects when `signal` aborts it or the API can't be reached.
+const revalidatedResponses = new Map()
+
+export const fetchRevalidated = async (url, { signal } = {}) => {
+  const previous = revalidatedResponses.get(url)
+  const headers = previous ? { 'If-None-Match': previous.etag } : undefined
+  const { res, data, error } = await sharedRequest(url, headers, signal)
+  if (res.status === 304 && previous) return { res, data: previous.data, error: null, unchanged: true }
+  if (!res.ok) return { res, data: null, error, unchanged: false }
+
+  const etag = res.headers.get('ETag')
+  if (etag) revalidatedResponses.set(url, { etag, data })
+  return { res, data, error: null, unchanged: false }
+}
+
+// Provider transport for the browser (see src/lib/providers): every call goes
+// through the proxy, and a failed one rejects with the API's error details
+export const proxyTransport = async (upstream, endpoint, params, { signal } = {}) => {
+  const { res, data, error } = await sharedRequest(proxyUrl(upstream, endpoint, params), undefined, signal)
+  if (!res.ok) {
+    const { message, ...details } = error
+    throw Object.assign(new Error(message), details)
+  }
+  return data
+}
+
+// The same upstream calls for several locations in one POST /api/weather
+// (see api/_lib/batch.js). Resolves to its results, one per location in
+// order, each with its own responses or error; rejects like proxyTransport
+// when the batch as a whole fails.
+export async function fetchBatch(locations, requests, { signal } = {}) {
+  const res = await fetchWithRetry('/api/weather', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ locations: locations.map(({ lat, lon }) => ({ lat, lon })), requests }),
+    signal,
+  })
+  if (!res.ok) {
+    const { message, ...details } = await readApiError(res)
+    throw Object.assign(new Error(message), details)
+  }
+  return (await res.json()).results
+}
+
+// Shared clients for the components that read providers directly
+export const providers = createProviders(proxyTransport)
+
+// Clients whose calls are cancelled when `signal` aborts, for loads that
+// belong to one location or one view
+export const providersFor = (signal) =>
+  createProviders((upstream, endpoint, params) => proxyTransport(upstream, endpoint, params, { signal }))
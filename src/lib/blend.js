@@ -0,0 +1,246 @@
+import { DEFAULT_STRATEGY, STRATEGIES } from './strategies.js'
+
+// Builds the blended daily forecast served by /api/forecast from normalized
+// provider series (see src/lib/providers), following one of the strategies
+// in strategies.js. Pure: no fetching, no clocks, so the browser and the
+// server can both run it. Every daily field comes with a parallel provenance
+// array naming the source each value was taken from:
+//   nws-hourly    meteorological-day high/low from NWS hourly periods
+//   nws-forecast  NWS daytime period (condition code)
+//   weatherapi    WeatherAPI.com forecast day
+//   gem           Open-Meteo GEM daily
+//   a+b           the mean of those sources' values (combine: 'mean')
+//   default       no source had a value; a fixed fallback was used
+// `condition` rides along with weather_code: the NWS condition (see
+// conditions.js) behind the day's code when that came from nws-forecast,
+// otherwise null.
+
+// Units of the blended series; the inputs are already canonical (see units.js)
+export const DAILY_UNITS = {
+  time: 'iso8601',
+  weather_code: 'wmo code',
+  condition: 'nws condition',
+  temperature_2m_max: '°F',
+  temperature_2m_min: '°F',
+  snowfall_sum: 'inch',
+  precipitation_sum: 'inch',
+  precipitation_probability_max: '%',
+  sunrise: 'iso8601',
+  sunset: 'iso8601',
+  uv_index_max: '',
+}
+
+export const DAILY_FIELDS = [
+  'time',
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'snowfall_sum',
+  'precipitation_sum',
+  'precipitation_probability_max',
+  'sunrise',
+  'sunset',
+  'uv_index_max',
+]
+
+// The calendar day before a YYYY-MM-DD date
+function previousDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10)
+}
+
+// Calculate daily min/max from an hourly series using METEOROLOGICAL DAY (6 AM to 6 AM)
+// This matches how weather services like wunderground report daily temps.
+// Hours and dates are read straight from the local timestamps, so the result
+// doesn't depend on the timezone of whoever runs it.
+export function calculateMeteorologicalDay(hourly) {
+  // Group temps by meteorological day (6 AM to 6 AM next day)
+  // The "date" of a meteorological day is the date of the daytime portion
+  const meteoData = new Map()
+
+  hourly.time.forEach((time, i) => {
+    const localDate = time.slice(0, 10)
+    const hour = Number(time.slice(11, 13))
+    const temperature = hourly.temperature_2m[i]
+
+    // Determine which meteorological day this hour belongs to
+    // Hours 0-5 belong to previous day's meteorological day (overnight low)
+    // Hours 6-23 belong to current day's meteorological day
+    const dateStr = hour < 6 ? previousDate(localDate) : localDate
+
+    if (!meteoData.has(dateStr)) {
+      meteoData.set(dateStr, {
+        temps: [],
+        dayTemps: [], // 6 AM to 6 PM for high
+        nightTemps: [], // 6 PM to 6 AM for low
+        codes: [],
+      })
+    }
+
+    const day = meteoData.get(dateStr)
+    day.temps.push(temperature)
+
+    // Separate day vs night temps
+    if (hour >= 6 && hour < 18) {
+      day.dayTemps.push(temperature)
+    } else {
+      day.nightTemps.push(temperature)
+    }
+
+    if (hourly.weather_code?.[i] != null) {
+      day.codes.push(hourly.weather_code[i])
+    }
+  })
+
+  const result = { time: [], high: [], low: [], code: [] }
+  const sortedDates = Array.from(meteoData.keys()).sort()
+
+  for (const dateStr of sortedDates) {
+    const day = meteoData.get(dateStr)
+    // Need at least 12 hours of data for a reasonable estimate
+    if (day.temps.length >= 12) {
+      result.time.push(dateStr)
+      // High from daytime temps (or all temps if not enough daytime data)
+      const high = day.dayTemps.length >= 6 ? Math.max(...day.dayTemps) : Math.max(...day.temps)
+      // Low from night temps (or all temps if not enough night data)
+      const low = day.nightTemps.length >= 6 ? Math.min(...day.nightTemps) : Math.min(...day.temps)
+      result.high.push(high)
+      result.low.push(low)
+      // Use midday condition for weather code (partly cloudy without one)
+      result.code.push(day.codes[Math.floor(day.codes.length / 2)] ?? 2)
+    }
+  }
+
+  return result
+}
+
+// Element-wise maximum of two parallel series, e.g. snowfall from two models
+export function maxMerge(values, others) {
+  return values.map((value, i) => Math.max(value, others?.[i] || 0))
+}
+
+// One day of a daily series as { field: value }, by date
+function dayLookup(series) {
+  const byDate = new Map()
+  const data = series?.data
+  data?.time?.forEach((date, i) => {
+    byDate.set(date, Object.fromEntries(Object.entries(data).map(([field, values]) => [field, values[i]])))
+  })
+  return byDate
+}
+
+// Daily values by source, then by date: Map<source, Map<date, { field: value }>>.
+// Sources without any days are left out.
+function sourceDays({ nwsHourly, nwsDaily, weatherApi, gem }) {
+  const days = new Map()
+  if (nwsHourly?.data?.time) {
+    const meteoDaily = calculateMeteorologicalDay(nwsHourly.data)
+    days.set('nws-hourly', new Map(meteoDaily.time.map((date, i) => [date, {
+      temperature_2m_max: meteoDaily.high[i],
+      temperature_2m_min: meteoDaily.low[i],
+      weather_code: meteoDaily.code[i],
+    }])))
+  }
+  for (const [source, series] of [['nws-forecast', nwsDaily], ['weatherapi', weatherApi], ['gem', gem]]) {
+    const byDate = dayLookup(series)
+    if (byDate.size > 0) days.set(source, byDate)
+  }
+  return days
+}
+
+// What a field gets when no source has a value for the day
+const DEFAULTS = {
+  weather_code: 2,
+  temperature_2m_max: 50,
+  temperature_2m_min: 40,
+  snowfall_sum: 0,
+  precipitation_sum: 0,
+  precipitation_probability_max: 0,
+  sunrise: null,
+  sunset: null,
+  uv_index_max: null,
+}
+
+// Combine every [source, value] found for a day into one [source, value]
+const COMBINE = {
+  max: (found) => found.reduce((best, entry) => (entry[1] > best[1] ? entry : best)),
+  mean: (found) => [found.map(([source]) => source).join('+'), found.reduce((sum, [, value]) => sum + value, 0) / found.length],
+}
+
+// Temperatures are whole degrees; averaged amounts keep two decimals
+const round = (field, value, combine) => {
+  if (typeof value !== 'number') return value
+  if (field.startsWith('temperature_')) return Math.round(value)
+  return combine === 'mean' ? Math.round(value * 100) / 100 : value
+}
+
+// [value, source] for one field on one day under a strategy's rule
+function pickValue(field, rule, date, bySource) {
+  const { sources, combine } = Array.isArray(rule) ? { sources: rule } : rule
+  const found = []
+  for (const source of sources) {
+    const value = bySource.get(source)?.get(date)?.[field]
+    if (value !== null && value !== undefined) found.push([source, value])
+  }
+  if (found.length === 0) return [DEFAULTS[field], 'default']
+  const [source, value] = combine ? COMBINE[combine](found) : found[0]
+  return [round(field, value, combine), source]
+}
+
+// The sources a strategy asks for, in the order it first mentions them, each
+// with the list it falls through when that source has nothing
+function strategySources(strategy) {
+  const lists = [strategy.days.flat(), ...Object.values(strategy.fields).map((rule) => rule.sources || rule)]
+  const sources = new Map()
+  for (const list of lists) {
+    list.forEach((source, i) => {
+      if (!sources.has(source)) sources.set(source, list.slice(i + 1))
+    })
+  }
+  return sources
+}
+
+// Blend normalized provider series into one daily forecast under a named
+// strategy (see strategies.js).
+//   nwsHourly   NWS hourly series     nwsDaily  NWS daily series
+//   weatherApi  WeatherAPI.com daily  gem       GEM daily
+// Returns { daily, units, provenance, fallbacks, strategy }, or null when no
+// source produced any days. `fallbacks` records each source the strategy
+// wanted but didn't get, as { source, using } with the source that stood in
+// (or null). An unknown strategy id blends with the default one.
+export function blendDaily(series, strategyId = DEFAULT_STRATEGY) {
+  const id = Object.hasOwn(STRATEGIES, strategyId) ? strategyId : DEFAULT_STRATEGY
+  const strategy = STRATEGIES[id]
+  const bySource = sourceDays(series)
+
+  const fallbacks = []
+  for (const [source, next] of strategySources(strategy)) {
+    if (!bySource.has(source)) fallbacks.push({ source, using: next.find((other) => bySource.has(other)) ?? null })
+  }
+
+  // Each stage extends the forecast past its last day from the stage's first source with days
+  const days = []
+  for (const stage of strategy.days) {
+    const source = stage.find((candidate) => bySource.has(candidate))
+    if (!source) continue
+    const lastDate = days[days.length - 1]?.[0] || ''
+    for (const date of [...bySource.get(source).keys()].sort()) {
+      if (date > lastDate) days.push([date, source])
+    }
+  }
+  if (days.length === 0) return null
+
+  const daily = Object.fromEntries(DAILY_FIELDS.map((field) => [field, []]))
+  const provenance = Object.fromEntries(DAILY_FIELDS.map((field) => [field, []]))
+  for (const [date, dateSource] of days) {
+    daily.time.push(date)
+    provenance.time.push(dateSource)
+    for (const field of DAILY_FIELDS.slice(1)) {
+      const [value, source] = pickValue(field, strategy.fields[field], date, bySource)
+      daily[field].push(value)
+      provenance[field].push(source)
+    }
+  }
+  daily.condition = days.map(([date], i) => bySource.get(provenance.weather_code[i])?.get(date)?.condition ?? null)
+  return { daily, units: DAILY_UNITS, provenance, fallbacks, strategy: id }
+}
@@ -0,0 +1,119 @@
+import { fetchBatch } from './api.js'
+import { precipitationKind } from './conditions.js'
+import { toInstant } from './time.js'
+import { toCanonical } from './units.js'
+
+// Data for the side-by-side comparison of several locations. Every location
+// needs the same GFS forecast and NWS alerts, so they're fetched for all of
+// them in one POST /api/weather (api/_lib/batch.js) and normalized here the
+// way the provider clients would (canonical units, see units.js).
+
+// Most locations one comparison loads
+export const MAX_COMPARED = 6
+export const COMPARISON_DAYS = 7
+
+const CURRENT_FIELDS = ['temperature_2m', 'apparent_temperature', 'weather_code', 'wind_speed_10m', 'is_day']
+const HOURLY_FIELDS = ['temperature_2m', 'precipitation_probability', 'precipitation', 'snowfall', 'weather_code', 'is_day']
+const DAILY_FIELDS = ['temperature_2m_max', 'temperature_2m_min', 'precipitation_sum', 'snowfall_sum', 'precipitation_probability_max', 'weather_code']
+
+// "{lat}" and "{lon}" are filled in per location by the batch
+const REQUESTS = [
+  {
+    upstream: 'open-meteo',
+    endpoint: 'gfs',
+    params: {
+      latitude: '{lat}',
+      longitude: '{lon}',
+      current: CURRENT_FIELDS.join(','),
+      hourly: HOURLY_FIELDS.join(','),
+      daily: DAILY_FIELDS.join(','),
+      temperature_unit: 'fahrenheit',
+      wind_speed_unit: 'mph',
+      precipitation_unit: 'inch',
+      timezone: 'auto',
+      forecast_days: COMPARISON_DAYS,
+    },
+  },
+  { upstream: 'nws', endpoint: 'alerts/active', params: { point: '{lat},{lon}' } },
+]
+
+const series = (data, units) => (data ? toCanonical({ source: 'gfs', data, units: units || {} }).data : null)
+
+// Load every location's comparison data. Resolves to one entry per location,
+// in order:
+//   { location, timeZone, current, hourly, instants, daily, alerts, error }
+// with Open-Meteo field names, and `instants` the epoch ms of each hourly
+// time, worked out once here with the zone's offset at each. alerts is null
+// where NWS has none to give (outside the US). A location whose forecast
+// failed has only `error`.
+export async function loadComparison(locations, { signal } = {}) {
+  const results = await fetchBatch(locations, REQUESTS, { signal })
+  return results.map((result, i) => {
+    const [forecast, alerts] = result.responses || []
+    if (!forecast?.ok) {
+      return { location: locations[i], error: forecast?.error?.error || result.error?.error || 'Forecast unavailable' }
+    }
+    const { data } = forecast
+    const hourly = series(data.hourly, data.hourly_units)
+    return {
+      location: locations[i],
+      timeZone: data.timezone,
+      current: series(data.current, data.current_units),
+      hourly,
+      instants: hourly?.time.map((time) => toInstant(time, data.timezone)) || [],
+      daily: series(data.daily, data.daily_units),
+      alerts: alerts?.ok ? alerts.data.features || [] : null,
+    }
+  })
+}
+
+// Index of each location's hour for a list of instants, so rows line up in
+// time even across timezones; -1 where a location has no such hour
+export function alignHours(columns, instants) {
+  return columns.map((column) => {
+    const byInstant = new Map(column.instants?.map((at, i) => [at, i]) || [])
+    return instants.map((at) => byInstant.get(at) ?? -1)
+  })
+}
+
+// The next `count` whole hours from now, as instants
+export function upcomingHours(count, now = Date.now()) {
+  const hour = 60 * 60 * 1000
+  const first = Math.floor(now / hour) * hour
+  return Array.from({ length: count }, (_, i) => first + i * hour)
+}
+
+// The first upcoming hour with precipitation likely (50%+) or falling, as an
+// index into the column's hourly series, or -1
+export function precipitationStart(column, fromIndex) {
+  const hourly = column.hourly
+  if (!hourly || fromIndex < 0) return -1
+  for (let i = fromIndex; i < hourly.time.length; i++) {
+    if (hourly.precipitation_probability?.[i] >= 50 || hourly.precipitation?.[i] >= 0.01) return i
+  }
+  return -1
+}
+
+// How bad a condition is, for picking out the worst across locations:
+// thunderstorms and ice above snow above rain, then chance and amounts
+const KIND_RANK = { thunderstorm: 4, ice: 4, snow: 3, rain: 2 }
+
+export function conditionSeverity({ code, probability = 0, amount = 0 }) {
+  return (KIND_RANK[precipitationKind(code)] || 0) * 1000 + (probability || 0) * 5 + (amount || 0) * 100
+}
+
+const ALERT_RANK = { extreme: 4, severe: 3, moderate: 2, minor: 1 }
+
+// The most severe of a location's alerts, and its rank (0 without any)
+export function worstAlert(alerts) {
+  let worst = null
+  let rank = 0
+  for (const alert of alerts || []) {
+    const alertRank = ALERT_RANK[alert.properties?.severity?.toLowerCase()] || 0.5
+    if (alertRank > rank) {
+      worst = alert
+      rank = alertRank
+    }
+  }
+  return { alert: worst, rank }
+}
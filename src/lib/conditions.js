@@ -0,0 +1,208 @@
+// Weather conditions. NWS describes a period with an icon URL and a short
+// forecast text; classifyNwsCondition reads both into
+//   { sky, precipitation, intensity, coverage, showers, isDay, code }
+//   sky            clear | mostly-clear | partly-cloudy | mostly-cloudy | overcast | fog | null
+//   precipitation  rain | drizzle | snow | sleet | freezing-rain | rain-snow | thunderstorm | null
+//   intensity      light | moderate | heavy (null without precipitation)
+//   coverage       slight-chance | chance | likely | isolated | scattered | areas | null
+//   isDay          from the icon's day/night folder, else the period's isDaytime
+//   code           the WMO weather code the rest of the app uses, or null when
+//                  neither says anything recognisable. WMO has one code for
+//                  mostly cloudy and overcast; `sky` keeps them apart
+// The icon says what NWS meant; the text fills in what icons can't say
+// (intensity, "likely") and covers periods without one.
+
+// NWS icon codes (api.weather.gov/icons), current and legacy names
+const ICONS = {
+  skc: { sky: 'clear' },
+  few: { sky: 'mostly-clear' },
+  sct: { sky: 'partly-cloudy' },
+  bkn: { sky: 'mostly-cloudy' },
+  ovc: { sky: 'overcast' },
+  wind_skc: { sky: 'clear' },
+  wind_few: { sky: 'mostly-clear' },
+  wind_sct: { sky: 'partly-cloudy' },
+  wind_bkn: { sky: 'mostly-cloudy' },
+  wind_ovc: { sky: 'overcast' },
+  fog: { sky: 'fog' },
+  haze: { sky: 'partly-cloudy' },
+  smoke: { sky: 'partly-cloudy' },
+  dust: { sky: 'partly-cloudy' },
+  hot: { sky: 'clear' },
+  cold: { sky: 'clear' },
+  rain: { precipitation: 'rain' },
+  ra: { precipitation: 'rain' },
+  minus_ra: { precipitation: 'rain', intensity: 'light' },
+  rain_showers: { precipitation: 'rain', showers: true },
+  rain_showers_hi: { precipitation: 'rain', showers: true, coverage: 'isolated' },
+  shra: { precipitation: 'rain', showers: true },
+  hi_shwrs: { precipitation: 'rain', showers: true, coverage: 'isolated' },
+  snow: { precipitation: 'snow' },
+  sn: { precipitation: 'snow' },
+  blizzard: { precipitation: 'snow', intensity: 'heavy' },
+  sleet: { precipitation: 'sleet' },
+  ip: { precipitation: 'sleet' },
+  fzra: { precipitation: 'freezing-rain' },
+  rain_fzra: { precipitation: 'freezing-rain' },
+  ra_fzra: { precipitation: 'freezing-rain' },
+  snow_fzra: { precipitation: 'freezing-rain' },
+  fzra_sn: { precipitation: 'freezing-rain' },
+  rain_sleet: { precipitation: 'sleet' },
+  raip: { precipitation: 'sleet' },
+  snow_sleet: { precipitation: 'sleet' },
+  snip: { precipitation: 'sleet' },
+  rain_snow: { precipitation: 'rain-snow' },
+  ra_sn: { precipitation: 'rain-snow' },
+  tsra: { precipitation: 'thunderstorm' },
+  tsra_sct: { precipitation: 'thunderstorm', coverage: 'scattered' },
+  scttsra: { precipitation: 'thunderstorm', coverage: 'scattered' },
+  tsra_hi: { precipitation: 'thunderstorm', coverage: 'isolated' },
+  hi_tsra: { precipitation: 'thunderstorm', coverage: 'isolated' },
+  tornado: { precipitation: 'thunderstorm', intensity: 'heavy' },
+  hurricane: { precipitation: 'rain', intensity: 'heavy' },
+  tropical_storm: { precipitation: 'rain', intensity: 'heavy' },
+}
+
+// Text patterns, most specific first: "freezing rain" before "rain",
+// "mostly cloudy" before "cloudy"
+const PRECIPITATION_TEXT = [
+  [/thunder|t-storm|tstm/, 'thunderstorm'],
+  [/freezing (rain|drizzle)|ice storm/, 'freezing-rain'],
+  [/sleet|ice pellets/, 'sleet'],
+  [/rain and snow|snow and rain|rain\/snow|wintry mix/, 'rain-snow'],
+  [/snow|flurr|blizzard/, 'snow'],
+  [/drizzle/, 'drizzle'],
+  [/rain|shower|downpour/, 'rain'],
+]
+
+const SKY_TEXT = [
+  [/fog/, 'fog'],
+  [/mostly cloudy|considerable cloud/, 'mostly-cloudy'],
+  [/partly (cloudy|sunny)/, 'partly-cloudy'],
+  [/mostly (sunny|clear)/, 'mostly-clear'],
+  [/overcast|cloudy/, 'overcast'],
+  [/sunny|clear|fair/, 'clear'],
+]
+
+const COVERAGE_TEXT = [
+  [/slight chance/, 'slight-chance'],
+  [/chance/, 'chance'],
+  [/likely/, 'likely'],
+  [/isolated/, 'isolated'],
+  [/scattered/, 'scattered'],
+  [/areas|patchy/, 'areas'],
+]
+
+const match = (patterns, text) => patterns.find(([pattern]) => pattern.test(text))?.[1] ?? null
+
+// The conditions in an icon URL, e.g.
+// https://api.weather.gov/icons/land/night/tsra_hi,40/sn?size=medium
+// -> { isDay: false, conditions: [{ code: 'tsra_hi', chance: 40 }, { code: 'sn', chance: null }] }
+function parseIcon(url) {
+  const parts = /\/icons\/land\/(day|night)\/([^?]+)/.exec(url || '')
+  if (!parts) return null
+  return {
+    isDay: parts[1] === 'day',
+    conditions: parts[2].split('/').map((part) => {
+      const [code, chance] = part.split(',')
+      return { code, chance: chance ? Number(chance) : null }
+    }),
+  }
+}
+
+const SKY_CODES = { clear: 0, 'mostly-clear': 1, 'partly-cloudy': 2, 'mostly-cloudy': 3, overcast: 3, fog: 45 }
+
+// [light, moderate, heavy] WMO codes per precipitation type
+const PRECIPITATION_CODES = {
+  rain: [61, 63, 65],
+  'rain-showers': [80, 81, 82],
+  drizzle: [51, 53, 55],
+  snow: [71, 73, 75],
+  'snow-showers': [85, 85, 86],
+  'freezing-rain': [66, 66, 67],
+  // WMO has nothing for ice pellets in the set the app uses; freezing
+  // precipitation is the closest hazard
+  sleet: [66, 66, 67],
+  'rain-snow': [68, 69, 69],
+  thunderstorm: [95, 95, 99],
+}
+
+function wmoCode({ sky, precipitation, intensity, showers }) {
+  if (precipitation) {
+    const codes = PRECIPITATION_CODES[showers && PRECIPITATION_CODES[`${precipitation}-showers`] ? `${precipitation}-showers` : precipitation]
+    return codes[{ light: 0, moderate: 1, heavy: 2 }[intensity]]
+  }
+  // Nothing recognisable: no code, so blending takes another source's
+  return SKY_CODES[sky] ?? null
+}
+
+// Classify an NWS forecast period ({ icon, shortForecast, isDaytime })
+export function classifyNwsCondition({ icon, shortForecast, isDaytime } = {}) {
+  const text = (shortForecast || '').toLowerCase()
+  const parsed = parseIcon(icon)
+  // A period can show two conditions; the first with precipitation describes it best
+  const iconConditions = (parsed?.conditions || []).map(({ code }) => ICONS[code]).filter(Boolean)
+  const fromIcon = iconConditions.find((condition) => condition.precipitation) || {}
+  const iconSky = iconConditions.find((condition) => condition.sky)?.sky
+
+  const precipitation = fromIcon.precipitation || match(PRECIPITATION_TEXT, text)
+  const condition = {
+    sky: iconSky || match(SKY_TEXT, text) || (precipitation ? 'overcast' : null),
+    precipitation,
+    intensity: !precipitation ? null
+      : /heavy|blizzard|downpour/.test(text) ? 'heavy'
+      : /\blight\b|flurr|sprinkle/.test(text) ? 'light'
+      : fromIcon.intensity || 'moderate',
+    coverage: precipitation ? match(COVERAGE_TEXT, text) || fromIcon.coverage || null : null,
+    showers: Boolean(fromIcon.showers || /shower|flurr/.test(text)),
+    isDay: parsed ? parsed.isDay : isDaytime !== false,
+  }
+  return { ...condition, code: wmoCode(condition) }
+}
+
+const SKY_NAMES = {
+  clear: ['Sunny', 'Clear'],
+  'mostly-clear': ['Mostly sunny', 'Mostly clear'],
+  'partly-cloudy': ['Partly cloudy', 'Partly cloudy'],
+  'mostly-cloudy': ['Mostly cloudy', 'Mostly cloudy'],
+  overcast: ['Cloudy', 'Cloudy'],
+  fog: ['Fog', 'Fog'],
+}
+
+const PRECIPITATION_NAMES = {
+  rain: 'rain',
+  drizzle: 'drizzle',
+  snow: 'snow',
+  sleet: 'sleet',
+  'freezing-rain': 'freezing rain',
+  'rain-snow': 'rain and snow',
+  thunderstorm: 'thunderstorms',
+}
+
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1)
+
+// A short label for a classified condition, coverage included: "Rain
+// likely", "Chance of light snow showers", "Mostly cloudy". null when
+// there's nothing to say.
+export function describeCondition({ sky, precipitation, intensity, coverage, showers, isDay } = {}) {
+  if (!precipitation) return SKY_NAMES[sky]?.[isDay === false ? 1 : 0] ?? null
+  let what = PRECIPITATION_NAMES[precipitation]
+  if (showers && (precipitation === 'rain' || precipitation === 'snow')) what += ' showers'
+  if (intensity !== 'moderate' && precipitation !== 'thunderstorm') what = `${intensity} ${what}`
+  if (coverage === 'slight-chance') return `Slight chance of ${what}`
+  if (coverage === 'chance') return `Chance of ${what}`
+  if (coverage === 'likely') return `${capitalize(what)} likely`
+  if (coverage === 'areas') return `Areas of ${what}`
+  if (coverage) return `${capitalize(coverage)} ${what}`
+  return capitalize(what)
+}
+
+// Broad precipitation kind of a WMO code, for choosing icons and colours:
+// snow | rain | ice | thunderstorm | null
+export function precipitationKind(code) {
+  if ([68, 69, 71, 73, 75, 77, 85, 86].includes(code)) return 'snow'
+  if ([56, 57, 66, 67].includes(code)) return 'ice'
+  if ([95, 96, 99].includes(code)) return 'thunderstorm'
+  if ([51, 53, 55, 61, 63, 65, 80, 81, 82].includes(code)) return 'rain'
+  return null
+}
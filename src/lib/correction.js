@@ -0,0 +1,88 @@
+import { calculateMeteorologicalDay } from './blend.js'
+import { IMPERIAL } from './providers/index.js'
+import { localHour, localNow } from './time.js'
+
+// Local bias correction of model temperatures. The model's last few days of
+// hourly temperatures (GFS via Open-Meteo's past_days) are matched against
+// what the nearest NWS observation station reported, giving a rolling bias
+// per hour of the day: model minus observed, so positive means the model has
+// been running warm there at that hour. Correcting subtracts it. Optional,
+// and only available where NWS has stations.
+
+// Days of history the bias is estimated from
+export const CORRECTION_DAYS = 7
+
+// An hour of the day needs this many matched observations to be corrected
+const MIN_SAMPLES = 3
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Stations report at odd minutes (METARs at :53); each observation counts for
+// the nearest whole hour, as a "YYYY-MM-DDTHH" key
+const nearestHour = (time) => new Date(Date.parse(`${time}:00Z`) + HOUR_MS / 2).toISOString().slice(0, 13)
+
+// Bias per hour of the day (0-23) from parallel model and observed hourly
+// series: { bias, count }, or null where there weren't enough matches
+export function hourlyBias(model, observed) {
+  const observedByHour = new Map()
+  observed.time.forEach((time, i) => {
+    const key = nearestHour(time)
+    const value = observed.temperature_2m[i]
+    if (value !== null && !observedByHour.has(key)) observedByHour.set(key, value)
+  })
+
+  const sums = Array.from({ length: 24 }, () => ({ total: 0, count: 0 }))
+  model.time.forEach((time, i) => {
+    const seen = observedByHour.get(time.slice(0, 13))
+    const value = model.temperature_2m[i]
+    if (seen === undefined || value === null || value === undefined) return
+    const sum = sums[localHour(time)]
+    sum.total += value - seen
+    sum.count++
+  })
+  return sums.map(({ total, count }) => (count >= MIN_SAMPLES ? { bias: total / count, count } : null))
+}
+
+// Estimate the bias for a location with `providers` clients from
+// src/lib/api.js. Resolves to the per-hour list, or null where there's no
+// station or too little overlap to say anything.
+export async function estimateBias(providers, location, { timeZone } = {}) {
+  const point = { lat: location.lat, lon: location.lon }
+  const today = localNow(timeZone).slice(0, 10)
+  const start = new Date(Date.parse(`${today}T00:00:00Z`) - CORRECTION_DAYS * 24 * HOUR_MS).toISOString().slice(0, 10)
+  const [model, { hourly: observed }] = await Promise.all([
+    providers.gfs.hourly(point, ['temperature_2m'], {
+      units: IMPERIAL,
+      days: 1,
+      pastDays: CORRECTION_DAYS,
+      ...(timeZone && { timezone: timeZone }),
+    }),
+    providers.nws.observed(point, { hourly: { fields: ['temperature_2m'] }, start }),
+  ])
+  if (!model?.data || !observed?.data) return null
+  const bias = hourlyBias(model.data, observed.data)
+  return bias.some(Boolean) ? bias : null
+}
+
+// An hourly series with its temperatures corrected; hours without a bias
+// estimate are left as they are
+export function correctHourly(hourly, bias) {
+  return {
+    ...hourly,
+    temperature_2m: hourly.temperature_2m.map((value, i) => {
+      const hour = bias[localHour(hourly.time[i])]
+      return value === null || value === undefined || !hour ? value : Math.round((value - hour.bias) * 10) / 10
+    }),
+  }
+}
+
+// Meteorological-day highs and lows derived from an hourly series, raw and
+// corrected: { <date>: { raw: { high, low }, corrected: { high, low } } }
+export function correctedDays(hourly, bias) {
+  const raw = calculateMeteorologicalDay(hourly)
+  const corrected = calculateMeteorologicalDay(correctHourly(hourly, bias))
+  return Object.fromEntries(raw.time.map((date, i) => [date, {
+    raw: { high: raw.high[i], low: raw.low[i] },
+    corrected: { high: corrected.high[i], low: corrected.low[i] },
+  }]))
+}
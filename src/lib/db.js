@@ -0,0 +1,54 @@
+// The app's IndexedDB database, behind a few promise helpers. Stores, each
+// keyed by the records' `id` and indexed by `location` (see locationKey):
+//   forecasts     daily forecast snapshots per source, see verification.js
+//   observations  observed daily values, see verification.js
+//   snapshots     last-known forecast document per location, see snapshots.js
+// A store added here is created on the next open; bump DB_VERSION with it.
+// Every helper rejects where IndexedDB isn't available (private windows in
+// some browsers), so callers treat the database as optional.
+
+const DB_NAME = 'weathermin'
+const DB_VERSION = 2
+const STORES = ['forecasts', 'observations', 'snapshots']
+
+// Locations are stored by rounded coordinates, ~1 km, like the proxy's cache
+export const locationKey = ({ lat, lon }) => `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+let opening = null
+
+function open() {
+  if (!opening) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (request.result.objectStoreNames.contains(name)) continue
+        request.result.createObjectStore(name, { keyPath: 'id' }).createIndex('location', 'location')
+      }
+    }
+    opening = settle(request)
+    // A failed open can be retried later
+    opening.catch(() => {
+      opening = null
+    })
+  }
+  return opening
+}
+
+const store = async (name, mode) => (await open()).transaction(name, mode).objectStore(name)
+
+export const get = async (name, id) => settle((await store(name)).get(id))
+
+// Every record of one location
+export const getByLocation = async (name, location) =>
+  settle((await store(name)).index('location').getAll(location))
+
+export const getAll = async (name) => settle((await store(name)).getAll())
+
+export const put = async (name, record) => settle((await store(name, 'readwrite')).put(record))
+
+export const remove = async (name, id) => settle((await store(name, 'readwrite')).delete(id))
@@ -0,0 +1,57 @@
+import { createNwsClient } from './nws.js'
+import { createOpenMeteoClient } from './openMeteo.js'
+import { createWeatherApiClient } from './weatherApi.js'
+
+export { IMPERIAL, defineProvider } from './provider.js'
+
+// Weather provider clients. Every provider has the same interface, and every
+// method resolves to normalized data (or null where the provider has nothing
+// to offer), so callers never see a provider's own response format:
+//
+//   point(location)                      NWS grid point, see nws.js
+//   current(location, fields?, options?) series of single values
+//   hourly(location, fields?, options?)  series of parallel arrays
+//   daily(location, fields?, options?)   series of parallel arrays
+//   forecast(location, request)          { current, hourly, daily } in one call;
+//                                        request = { current?, hourly?, daily? }
+//                                        as { fields? }, plus options
+//   observed(location, request)          { hourly, daily } observed between
+//                                        request.start and request.end (dates);
+//                                        request = { hourly?, daily? } as
+//                                        { fields? }, plus options
+//   alerts(location, options?)           array of GeoJSON alert features with
+//                                        NWS property names (event, headline,
+//                                        severity, areaDesc, expires, ...)
+//   airQuality(location, fields?, options?) series of current values
+//
+// `location` is { lat, lon }. A series is
+//   { source, data: { time, <field>: value | [values] }, units: { <field>: unit }, timezone }
+// using Open-Meteo field and unit names (temperature_2m_max, '°F', 'inch', ...)
+// whatever the provider calls them, with values in the canonical units of
+// src/lib/units.js and times as wall-clock times in `timezone`, the
+// location's IANA zone (see src/lib/time.js). `fields` limits a series to
+// those fields (plus time); without it a provider returns everything it has.
+//
+// Options: `days` (forecast length), `pastDays` (Open-Meteo: also that many
+// days before today), `units` ({ temperature, windSpeed,
+// precipitation } as Open-Meteo names them, see IMPERIAL; only changes what is
+// fetched, not what is returned) and `timezone` (defaults to the location's
+// own). Providers that can't choose ignore them.
+//
+// Clients don't fetch anything themselves. They are built around a transport,
+// (upstream, endpoint, params) => Promise<response body>, that rejects when a
+// call fails: the browser's goes through /api/weather (see src/lib/api.js), the
+// server's straight through the proxy (see api/forecast.js).
+
+// One client per source the app uses, all sharing one transport
+export function createProviders(transport) {
+  return {
+    nws: createNwsClient(transport),
+    gfs: createOpenMeteoClient(transport, 'gfs'),
+    gem: createOpenMeteoClient(transport, 'gem'),
+    ecmwf: createOpenMeteoClient(transport, 'ecmwf'),
+    weatherapi: createWeatherApiClient(transport),
+  }
+}
+
+export { createNwsClient, createOpenMeteoClient, createWeatherApiClient }
@@ -0,0 +1,197 @@
+import { classifyNwsCondition } from '../conditions.js'
+import { toLocalTime } from '../time.js'
+import { defineProvider } from './provider.js'
+
+// National Weather Service (api.weather.gov), US only. Forecasts hang off a
+// grid point, so hourly/daily/current look the point up first unless the
+// location already carries one: { lat, lon, point } with `point` from point().
+//
+// point(location) resolves to
+//   { latitude, longitude, gridId, gridX, gridY, timeZone, city, state,
+//     forecast, forecastHourly }
+// where forecast/forecastHourly are proxy endpoints, or null when NWS has no
+// forecast for the location.
+//
+// hourly comes from the hourly periods; daily from the 12-hour periods, with
+// the daytime period giving the high, condition and precipitation chance and
+// the night period starting that evening the low. current is the first hourly
+// period. observed hourly is what the grid point's nearest observation
+// station reported since request.start (a date); stations report at odd
+// minutes, so its times aren't on the hour. Conditions come from each
+// period's icon and text: weather_code is the WMO code, and condition the
+// whole classification (see src/lib/conditions.js) for what one code can't
+// say, such as mostly cloudy, sleet or "likely".
+
+// NWS hands out absolute follow-up URLs; the proxy wants the path after the host
+const nwsPath = (url) => new URL(url).pathname.replace(/^\//, '')
+
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+
+const compassDegrees = (direction) => {
+  const index = COMPASS.indexOf(direction)
+  return index === -1 ? null : index * 22.5
+}
+
+// "10 mph" or "5 to 10 mph" -> the highest number
+const windSpeed = (text) => {
+  const numbers = String(text || '').match(/\d+/g)
+  return numbers ? Math.max(...numbers.map(Number)) : null
+}
+
+const temperatureUnit = (periods) => (periods[0]?.temperatureUnit === 'C' ? '°C' : '°F')
+
+// Local wall-clock time, as Open-Meteo writes it ("2025-01-15T06:00")
+const localTime = (startTime) => startTime.slice(0, 16)
+
+function hourlySeries(body, timezone) {
+  const periods = body?.properties?.periods
+  if (!periods?.length) return null
+  const conditions = periods.map(classifyNwsCondition)
+  return {
+    source: 'nws-hourly',
+    timezone,
+    data: {
+      time: periods.map((period) => localTime(period.startTime)),
+      temperature_2m: periods.map((period) => period.temperature),
+      relative_humidity_2m: periods.map((period) => period.relativeHumidity?.value ?? null),
+      precipitation_probability: periods.map((period) => period.probabilityOfPrecipitation?.value ?? null),
+      wind_speed_10m: periods.map((period) => windSpeed(period.windSpeed)),
+      wind_direction_10m: periods.map((period) => compassDegrees(period.windDirection)),
+      weather_code: conditions.map((condition) => condition.code),
+      condition: conditions,
+    },
+    units: {
+      time: 'iso8601',
+      temperature_2m: temperatureUnit(periods),
+      relative_humidity_2m: '%',
+      precipitation_probability: '%',
+      wind_speed_10m: 'mph',
+      wind_direction_10m: '°',
+      weather_code: 'wmo code',
+      condition: 'nws condition',
+    },
+  }
+}
+
+function currentSeries(hourly) {
+  if (!hourly) return null
+  const data = Object.fromEntries(Object.entries(hourly.data).map(([field, values]) => [field, values[0]]))
+  return { ...hourly, data }
+}
+
+function dailySeries(body, timezone) {
+  const periods = body?.properties?.periods
+  if (!periods?.length) return null
+  const days = new Map()
+  for (const period of periods) {
+    const date = period.startTime.slice(0, 10)
+    if (!days.has(date)) days.set(date, { high: null, low: null, code: null, condition: null, chance: null })
+    const day = days.get(date)
+    if (period.isDaytime) {
+      day.high = period.temperature
+      day.condition = classifyNwsCondition(period)
+      day.code = day.condition.code
+      day.chance = period.probabilityOfPrecipitation?.value ?? null
+    } else {
+      day.low = period.temperature
+    }
+  }
+  const dates = [...days.keys()]
+  const values = (key) => dates.map((date) => days.get(date)[key])
+  return {
+    source: 'nws-forecast',
+    timezone,
+    data: {
+      time: dates,
+      temperature_2m_max: values('high'),
+      temperature_2m_min: values('low'),
+      weather_code: values('code'),
+      condition: values('condition'),
+      precipitation_probability_max: values('chance'),
+    },
+    units: {
+      time: 'iso8601',
+      temperature_2m_max: temperatureUnit(periods),
+      temperature_2m_min: temperatureUnit(periods),
+      weather_code: 'wmo code',
+      condition: 'nws condition',
+      precipitation_probability_max: '%',
+    },
+  }
+}
+
+function observationSeries(body, timezone) {
+  const features = body?.features
+  if (!features?.length) return null
+  // NWS lists the newest first
+  const observations = [...features].reverse().map((feature) => feature.properties)
+  return {
+    source: 'nws-observations',
+    timezone,
+    data: {
+      time: observations.map((observation) => toLocalTime(observation.timestamp, timezone)),
+      temperature_2m: observations.map((observation) => observation.temperature?.value ?? null),
+    },
+    units: {
+      time: 'iso8601',
+      // Observations are always metric (wmoUnit:degC)
+      temperature_2m: '°C',
+    },
+  }
+}
+
+export function createNwsClient(transport) {
+  const point = async (location) => {
+    if (location.point) return location.point
+    const body = await transport('nws', `points/${location.lat},${location.lon}`, {})
+    const properties = body?.properties
+    if (!properties?.forecast) return null
+    const relative = properties.relativeLocation?.properties
+    return {
+      latitude: location.lat,
+      longitude: location.lon,
+      gridId: properties.gridId,
+      gridX: properties.gridX,
+      gridY: properties.gridY,
+      timeZone: properties.timeZone,
+      city: relative?.city ?? null,
+      state: relative?.state ?? null,
+      forecast: nwsPath(properties.forecast),
+      forecastHourly: properties.forecastHourly ? nwsPath(properties.forecastHourly) : null,
+    }
+  }
+
+  return defineProvider({
+    id: 'nws',
+    name: 'National Weather Service',
+    point,
+
+    async forecast(location, { current, hourly, daily }) {
+      const grid = await point(location)
+      if (!grid) return {}
+      const [hourlyBody, dailyBody] = await Promise.all([
+        (current || hourly) && grid.forecastHourly ? transport('nws', grid.forecastHourly, {}) : null,
+        daily ? transport('nws', grid.forecast, {}) : null,
+      ])
+      const hourlyData = hourlySeries(hourlyBody, grid.timeZone)
+      return { current: currentSeries(hourlyData), hourly: hourlyData, daily: dailySeries(dailyBody, grid.timeZone) }
+    },
+
+    async observed(location, { hourly, start }) {
+      const grid = await point(location)
+      if (!grid || !hourly) return {}
+      const stations = await transport('nws', `gridpoints/${grid.gridId}/${grid.gridX},${grid.gridY}/stations`, {})
+      const station = stations?.features?.[0]?.properties?.stationIdentifier
+      if (!station) return {}
+      const body = await transport('nws', `stations/${station}/observations`, { start: `${start}T00:00:00Z` })
+      return { hourly: observationSeries(body, grid.timeZone) }
+    },
+
+    async alerts(location, { limit, area } = {}) {
+      const body = await transport('nws', 'alerts/active', area
+        ? { area }
+        : { point: `${location.lat},${location.lon}`, ...(limit && { limit }) })
+      return body?.features ?? []
+    },
+  })
+}
@@ -0,0 +1,82 @@
+import { defineProvider } from './provider.js'
+
+// Open-Meteo models (GFS, GEM, ECMWF), Open-Meteo air quality and the
+// Open-Meteo archive of observed weather. Responses are already in the
+// normalized layout, so this mostly builds queries.
+
+const MODELS = {
+  gfs: 'GFS (NOAA)',
+  gem: 'GEM (Canada)',
+  ecmwf: 'ECMWF',
+}
+
+// Let Open-Meteo resolve the location's own zone unless the caller knows it
+const DEFAULT_TIMEZONE = 'auto'
+
+// Open-Meteo's unit parameters; without them it answers in metric
+const unitParams = (units) => ({
+  ...(units?.temperature && { temperature_unit: units.temperature }),
+  ...(units?.windSpeed && { wind_speed_unit: units.windSpeed }),
+  ...(units?.precipitation && { precipitation_unit: units.precipitation }),
+})
+
+const series = (source, data, units, timezone) => (data ? { source, data, units: units || {}, timezone } : null)
+
+export function createOpenMeteoClient(transport, model) {
+  return defineProvider({
+    id: model,
+    name: MODELS[model],
+
+    async forecast(location, { current, hourly, daily, days, pastDays, units, timezone = DEFAULT_TIMEZONE }) {
+      // Open-Meteo needs explicit field lists; a part requested without one is left out
+      const parts = {}
+      for (const [part, request] of Object.entries({ current, hourly, daily })) {
+        if (request?.fields?.length) parts[part] = request.fields.join(',')
+      }
+      const data = await transport('open-meteo', model, {
+        latitude: location.lat,
+        longitude: location.lon,
+        ...parts,
+        ...unitParams(units),
+        timezone,
+        ...(days && { forecast_days: days }),
+        ...(pastDays && { past_days: pastDays }),
+      })
+      return {
+        current: series(model, data.current, data.current_units, data.timezone),
+        hourly: series(model, data.hourly, data.hourly_units, data.timezone),
+        daily: series(model, data.daily, data.daily_units, data.timezone),
+      }
+    },
+
+    // Observations come from the ERA5 archive whatever the model, a few days
+    // behind; days it doesn't have yet are null
+    async observed(location, { hourly, daily, start, end, units, timezone = DEFAULT_TIMEZONE }) {
+      const data = await transport('open-meteo-archive', 'archive', {
+        latitude: location.lat,
+        longitude: location.lon,
+        ...(hourly?.fields?.length && { hourly: hourly.fields.join(',') }),
+        ...(daily?.fields?.length && { daily: daily.fields.join(',') }),
+        start_date: start,
+        end_date: end,
+        ...unitParams(units),
+        timezone,
+      })
+      return {
+        hourly: series('archive', data.hourly, data.hourly_units, data.timezone),
+        daily: series('archive', data.daily, data.daily_units, data.timezone),
+      }
+    },
+
+    // Air quality isn't model specific; every Open-Meteo client returns the same
+    async airQuality(location, fields, { timezone = DEFAULT_TIMEZONE } = {}) {
+      const data = await transport('air-quality', 'air-quality', {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: fields.join(','),
+        timezone,
+      })
+      return series('air-quality', data.current, data.current_units, data.timezone)
+    },
+  })
+}
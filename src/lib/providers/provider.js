@@ -0,0 +1,46 @@
+// The shared shape of a provider client, see index.js
+
+import { toCanonical } from '../units.js'
+
+export const IMPERIAL = { temperature: 'fahrenheit', windSpeed: 'mph', precipitation: 'inch' }
+
+// Keep only `time` and the requested fields of a series, in canonical units
+const pick = (series, fields) => {
+  series = toCanonical(series)
+  if (!series || !fields) return series
+  const keep = (object) => Object.fromEntries(Object.entries(object || {})
+    .filter(([field]) => field === 'time' || fields.includes(field)))
+  return { ...series, data: keep(series.data), units: keep(series.units) }
+}
+
+// Fill in the parts of the interface a provider doesn't implement itself
+export function defineProvider({ id, name, point, forecast, observed, alerts, airQuality }) {
+  const provider = {
+    id,
+    name,
+    point: point || (async () => null),
+    alerts: alerts || (async () => null),
+    airQuality: async (location, fields, options) =>
+      pick(airQuality ? await airQuality(location, fields, options) : null, fields),
+    async observed(location, request = {}) {
+      const result = observed ? await observed(location, request) : {}
+      return {
+        hourly: request.hourly ? pick(result.hourly ?? null, request.hourly.fields) : null,
+        daily: request.daily ? pick(result.daily ?? null, request.daily.fields) : null,
+      }
+    },
+    async forecast(location, request = {}) {
+      const result = forecast ? await forecast(location, request) : {}
+      return {
+        current: request.current ? pick(result.current ?? null, request.current.fields) : null,
+        hourly: request.hourly ? pick(result.hourly ?? null, request.hourly.fields) : null,
+        daily: request.daily ? pick(result.daily ?? null, request.daily.fields) : null,
+      }
+    },
+  }
+  for (const part of ['current', 'hourly', 'daily']) {
+    provider[part] = async (location, fields, options = {}) =>
+      (await provider.forecast(location, { ...options, [part]: { fields } }))[part]
+  }
+  return provider
+}
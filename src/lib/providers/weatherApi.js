@@ -0,0 +1,210 @@
+import { defineProvider } from './provider.js'
+
+// WeatherAPI.com forecast.json: current conditions, up to 14 forecast days
+// with their hours and active alerts, all from one call. Values are the
+// imperial ones except snow, which WeatherAPI.com only reports in centimetres.
+// Coverage is worldwide, and alerts come from each country's own service
+// (MeteoAlarm in Europe, for instance).
+
+const DEFAULT_DAYS = 14
+
+// WeatherAPI.com condition codes as WMO weather codes
+const CONDITION_CODES = {
+  1000: 0, // Sunny / clear
+  1003: 2, // Partly cloudy
+  1006: 3, // Cloudy
+  1009: 3, // Overcast
+  1030: 45, // Mist
+  1063: 80, // Patchy rain possible
+  1066: 85, // Patchy snow possible
+  1069: 66, // Patchy sleet possible
+  1072: 56, // Patchy freezing drizzle possible
+  1087: 95, // Thundery outbreaks possible
+  1114: 73, // Blowing snow
+  1117: 75, // Blizzard
+  1135: 45, // Fog
+  1147: 48, // Freezing fog
+  1150: 51, // Patchy light drizzle
+  1153: 51, // Light drizzle
+  1168: 56, // Freezing drizzle
+  1171: 57, // Heavy freezing drizzle
+  1180: 61, // Patchy light rain
+  1183: 61, // Light rain
+  1186: 63, // Moderate rain at times
+  1189: 63, // Moderate rain
+  1192: 65, // Heavy rain at times
+  1195: 65, // Heavy rain
+  1198: 66, // Light freezing rain
+  1201: 67, // Moderate or heavy freezing rain
+  1204: 66, // Light sleet
+  1207: 67, // Moderate or heavy sleet
+  1210: 71, // Patchy light snow
+  1213: 71, // Light snow
+  1216: 73, // Patchy moderate snow
+  1219: 73, // Moderate snow
+  1222: 75, // Patchy heavy snow
+  1225: 75, // Heavy snow
+  1237: 77, // Ice pellets
+  1240: 80, // Light rain shower
+  1243: 81, // Moderate or heavy rain shower
+  1246: 82, // Torrential rain shower
+  1249: 66, // Light sleet showers
+  1252: 67, // Moderate or heavy sleet showers
+  1255: 85, // Light snow showers
+  1258: 86, // Moderate or heavy snow showers
+  1261: 77, // Light showers of ice pellets
+  1264: 77, // Moderate or heavy showers of ice pellets
+  1273: 95, // Patchy light rain with thunder
+  1276: 95, // Moderate or heavy rain with thunder
+  1279: 95, // Patchy light snow with thunder
+  1282: 95, // Moderate or heavy snow with thunder
+}
+
+const weatherCode = (condition) => CONDITION_CODES[condition?.code] ?? null
+
+// Hours come as "2025-01-15 06:00"
+const localTime = (time) => time.replace(' ', 'T')
+
+// Sun times come as "07:12 AM" on the forecast day
+const clockTime = (date, text) => {
+  const match = /^(\d{1,2}):(\d{2}) ([AP]M)$/.exec(text || '')
+  if (!match) return null
+  const hour = (Number(match[1]) % 12) + (match[3] === 'PM' ? 12 : 0)
+  return `${date}T${String(hour).padStart(2, '0')}:${match[2]}`
+}
+
+const chance = (item) => Math.max(Number(item.daily_chance_of_rain ?? item.chance_of_rain) || 0,
+  Number(item.daily_chance_of_snow ?? item.chance_of_snow) || 0)
+
+const series = (data, units, timezone) => ({ source: 'weatherapi', data, units, timezone })
+
+function currentSeries(current, timezone) {
+  if (!current) return null
+  return series({
+    time: localTime(current.last_updated),
+    temperature_2m: current.temp_f,
+    relative_humidity_2m: current.humidity,
+    apparent_temperature: current.feelslike_f,
+    precipitation: current.precip_in,
+    surface_pressure: current.pressure_mb,
+    wind_speed_10m: current.wind_mph,
+    wind_direction_10m: current.wind_degree,
+    uv_index: current.uv,
+    weather_code: weatherCode(current.condition),
+  }, {
+    time: 'iso8601',
+    temperature_2m: '°F',
+    relative_humidity_2m: '%',
+    apparent_temperature: '°F',
+    precipitation: 'inch',
+    surface_pressure: 'hPa',
+    wind_speed_10m: 'mph',
+    wind_direction_10m: '°',
+    uv_index: '',
+    weather_code: 'wmo code',
+  }, timezone)
+}
+
+function hourlySeries(days, timezone) {
+  const hours = days.flatMap((day) => day.hour || [])
+  if (!hours.length) return null
+  return series({
+    time: hours.map((hour) => localTime(hour.time)),
+    temperature_2m: hours.map((hour) => hour.temp_f),
+    relative_humidity_2m: hours.map((hour) => hour.humidity),
+    precipitation_probability: hours.map(chance),
+    precipitation: hours.map((hour) => hour.precip_in),
+    snowfall: hours.map((hour) => hour.snow_cm ?? 0),
+    wind_speed_10m: hours.map((hour) => hour.wind_mph),
+    wind_direction_10m: hours.map((hour) => hour.wind_degree),
+    weather_code: hours.map((hour) => weatherCode(hour.condition)),
+  }, {
+    time: 'iso8601',
+    temperature_2m: '°F',
+    relative_humidity_2m: '%',
+    precipitation_probability: '%',
+    precipitation: 'inch',
+    snowfall: 'cm',
+    wind_speed_10m: 'mph',
+    wind_direction_10m: '°',
+    weather_code: 'wmo code',
+  }, timezone)
+}
+
+function dailySeries(days, timezone) {
+  if (!days.length) return null
+  return series({
+    time: days.map((day) => day.date),
+    weather_code: days.map((day) => weatherCode(day.day.condition)),
+    temperature_2m_max: days.map((day) => day.day.maxtemp_f),
+    temperature_2m_min: days.map((day) => day.day.mintemp_f),
+    precipitation_sum: days.map((day) => day.day.totalprecip_in || 0),
+    snowfall_sum: days.map((day) => day.day.totalsnow_cm || 0),
+    precipitation_probability_max: days.map((day) => chance(day.day)),
+    sunrise: days.map((day) => clockTime(day.date, day.astro?.sunrise)),
+    sunset: days.map((day) => clockTime(day.date, day.astro?.sunset)),
+    uv_index_max: days.map((day) => day.day.uv ?? null),
+  }, {
+    time: 'iso8601',
+    weather_code: 'wmo code',
+    temperature_2m_max: '°F',
+    temperature_2m_min: '°F',
+    precipitation_sum: 'inch',
+    snowfall_sum: 'cm',
+    precipitation_probability_max: '%',
+    sunrise: 'iso8601',
+    sunset: 'iso8601',
+    uv_index_max: '',
+  }, timezone)
+}
+
+// Alerts as GeoJSON features with NWS property names, like the NWS client's
+function alertFeatures(body) {
+  return (body?.alerts?.alert || []).map((alert) => ({
+    id: `weatherapi:${alert.event}:${alert.effective}`,
+    type: 'Feature',
+    geometry: null,
+    properties: {
+      event: alert.event,
+      headline: alert.headline || alert.event,
+      severity: alert.severity || 'Unknown',
+      urgency: alert.urgency || 'Unknown',
+      certainty: alert.certainty || 'Unknown',
+      areaDesc: alert.areas || '',
+      description: alert.desc || '',
+      instruction: alert.instruction || '',
+      effective: alert.effective,
+      expires: alert.expires,
+    },
+  }))
+}
+
+export function createWeatherApiClient(transport) {
+  // Alerts ride along on every forecast call, so alerts() and a forecast for
+  // the same place and length are one upstream call
+  const load = (location, days = DEFAULT_DAYS) => transport('weatherapi', 'forecast.json', {
+    q: `${location.lat},${location.lon}`,
+    days: String(days),
+    alerts: 'yes',
+  })
+
+  return defineProvider({
+    id: 'weatherapi',
+    name: 'WeatherAPI.com',
+
+    async forecast(location, { days }) {
+      const body = await load(location, days)
+      const forecastDays = body?.forecast?.forecastday || []
+      const timezone = body?.location?.tz_id
+      return {
+        current: currentSeries(body?.current, timezone),
+        hourly: hourlySeries(forecastDays, timezone),
+        daily: dailySeries(forecastDays, timezone),
+      }
+    },
+
+    async alerts(location) {
+      return alertFeatures(await load(location))
+    },
+  })
+}
@@ -0,0 +1,65 @@
+import { locationKey } from './db.js'
+
+// The user's saved locations, kept in localStorage and, when signed in, in
+// the Clerk user's unsafeMetadata (the part the browser may write), so the
+// list follows them between devices. The list is stored whole with the time
+// it last changed:
+//   { locations: [{ id, name, lat, lon, state }], updatedAt, owner }
+// and whichever copy changed last wins. `owner` is only kept locally: the id
+// of the account the list was last synced with (null before any), so one
+// account's places never end up in another's when they share a browser.
+
+const STORAGE_KEY = 'saved_locations'
+
+// Also what one batch request can cover (api/_lib/batch.js allows 25)
+export const MAX_SAVED_LOCATIONS = 20
+
+const EMPTY = { locations: [], updatedAt: 0 }
+
+export function loadSavedLocations() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved?.locations) ? saved : EMPTY
+  } catch {
+    return EMPTY
+  }
+}
+
+export function storeSavedLocations(saved) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved))
+}
+
+// The list a copy of the account's metadata holds, or null
+export const accountSavedLocations = (user) => {
+  const saved = user?.unsafeMetadata?.savedLocations
+  return Array.isArray(saved?.locations) ? saved : null
+}
+
+export const saveToAccount = (user, { locations, updatedAt }) =>
+  user.update({ unsafeMetadata: { ...user.unsafeMetadata, savedLocations: { locations, updatedAt } } })
+
+// The local copy of an account's list, or an empty one when it has none
+export const ownedBy = (saved, owner) => ({ ...(saved || EMPTY), owner })
+
+// The edits, each returning a new list stamped with when it changed
+const changed = (saved, locations) => ({ ...saved, locations, updatedAt: Date.now() })
+
+export const isSaved = (saved, location) => saved.locations.some(({ id }) => id === locationKey(location))
+
+export function addLocation(saved, { name, lat, lon, state = '' }) {
+  if (isSaved(saved, { lat, lon }) || saved.locations.length >= MAX_SAVED_LOCATIONS) return saved
+  return changed(saved, [...saved.locations, { id: locationKey({ lat, lon }), name, lat, lon, state }])
+}
+
+export const removeLocation = (saved, id) => changed(saved, saved.locations.filter((location) => location.id !== id))
+
+export const renameLocation = (saved, id, name) =>
+  changed(saved, saved.locations.map((location) => (location.id === id ? { ...location, name } : location)))
+
+// Move the location at `from` to `to`
+export function moveLocation(saved, from, to) {
+  if (to < 0 || to >= saved.locations.length) return saved
+  const locations = [...saved.locations]
+  locations.splice(to, 0, ...locations.splice(from, 1))
+  return changed(saved, locations)
+}
@@ -0,0 +1,130 @@
+// One scheduler for every periodic refresh on the page. Each dataset says
+// when its data can next have changed, counted from how old the data is
+// rather than from when it was last fetched; every task registered for it
+// runs then. Nothing runs while the page is hidden: timers are dropped, and
+// whatever fell due in the meantime runs as soon as the page is visible or
+// focused again, or the network comes back.
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// The first time after `after` that is `offset` past a multiple of `period`
+// (on the UTC clock, which model cycles and radar frames follow)
+const nextSlot = (after, period, offset = 0) => Math.floor((after - offset) / period) * period + period + offset
+
+// GFS runs at 00/06/12/18Z and reaches Open-Meteo about 4 hours later
+const nextGfsRun = (since) => nextSlot(since, 6 * HOUR, 4 * HOUR)
+
+// next(since) is the next refresh for data from `since` (epoch ms)
+export const DATASETS = {
+  forecast: {
+    label: 'Forecast',
+    next: (since) => Math.min(
+      // NWS updates gridpoint forecasts around the top of the hour
+      nextSlot(since, HOUR, 10 * MINUTE),
+      nextGfsRun(since),
+      // Current conditions and the alerts the document carries go stale sooner
+      since + 30 * MINUTE,
+    ),
+  },
+  // The location comparison: GFS and NWS alerts for several places
+  comparison: { label: 'Comparison', next: (since) => Math.min(nextGfsRun(since), since + 30 * MINUTE) },
+  // RainViewer publishes a frame every 10 minutes, nowcasts in between
+  radar: { label: 'Radar', next: (since) => nextSlot(since, 5 * MINUTE, 30 * 1000) },
+  alerts: { label: 'Alerts', next: (since) => since + 2 * MINUTE },
+  health: { label: 'Provider health', next: (since) => since + MINUTE },
+}
+
+// A failed run is tried again this soon, and no task runs twice within
+// MIN_GAP_MS however old its data says it is
+const RETRY_MS = 2 * MINUTE
+const MIN_GAP_MS = MINUTE
+
+const tasks = new Set()
+const listeners = new Set()
+
+const hidden = () => typeof document !== 'undefined' && document.hidden
+const notify = () => listeners.forEach((listener) => listener())
+
+function plan(task) {
+  clearTimeout(task.timer)
+  task.timer = null
+  if (hidden() || !tasks.has(task)) return
+  task.timer = setTimeout(() => run(task), Math.max(task.next - Date.now(), 0))
+}
+
+async function run(task) {
+  if (task.running) return
+  task.running = true
+  clearTimeout(task.timer)
+  task.lastRun = Date.now()
+  try {
+    // A task may resolve to the time its data is from; otherwise it's new now
+    const since = await task.run()
+    task.next = DATASETS[task.dataset].next(Number.isFinite(since) ? since : Date.now())
+  } catch (err) {
+    console.error(`Scheduled ${task.dataset} refresh failed:`, err)
+    task.next = Date.now() + RETRY_MS
+  }
+  task.next = Math.max(task.next, task.lastRun + MIN_GAP_MS)
+  task.running = false
+  plan(task)
+  notify()
+}
+
+// Back on screen or online: run whatever fell due, and plan the rest again
+function resume() {
+  if (hidden()) {
+    tasks.forEach((task) => plan(task))
+    return
+  }
+  tasks.forEach((task) => (task.next <= Date.now() ? run(task) : plan(task)))
+}
+
+let listening = false
+
+function listen() {
+  if (listening || typeof window === 'undefined') return
+  listening = true
+  document.addEventListener('visibilitychange', resume)
+  window.addEventListener('focus', resume)
+  window.addEventListener('online', resume)
+}
+
+// Run `refresh` now and then on `dataset`'s schedule. `refresh` may resolve
+// to the epoch ms its data is from (a document's generatedAt). Returns a
+// function that stops it.
+export function schedule(dataset, refresh) {
+  listen()
+  const task = { dataset, run: refresh, next: Date.now(), timer: null, running: false, lastRun: 0 }
+  tasks.add(task)
+  run(task)
+  return () => {
+    tasks.delete(task)
+    clearTimeout(task.timer)
+    notify()
+  }
+}
+
+// Run every task of a dataset now (a refresh button), whatever its schedule says
+export function refreshNow(dataset) {
+  tasks.forEach((task) => {
+    if (task.dataset === dataset) run(task)
+  })
+}
+
+// When a dataset next refreshes (epoch ms), or null when nothing on the page
+// uses it
+export function nextRefresh(dataset) {
+  let next = null
+  tasks.forEach((task) => {
+    if (task.dataset === dataset && (next === null || task.next < next)) next = task.next
+  })
+  return next
+}
+
+// Call `listener` whenever a refresh has been planned; returns the unsubscribe
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,31 @@
+import { get, getAll, locationKey, put, remove } from './db.js'
+
+// The last successful forecast document (see api/forecast.js) per location,
+// kept in IndexedDB so the dashboard can draw straight away on launch and
+// refresh in the background:
+//   snapshots  { id, location, savedAt, document }
+
+// Older than this a forecast isn't worth showing, even as a placeholder
+export const SNAPSHOT_MAX_AGE_MS = 12 * 60 * 60 * 1000
+
+// When a document was made; generatedAt, or when it was saved
+const age = (snapshot, now) => now - (Date.parse(snapshot.document.generatedAt) || snapshot.savedAt)
+
+// Save a location's document, dropping any other location's that expired
+export async function saveSnapshot(location, document, now = Date.now()) {
+  const key = locationKey(location)
+  await put('snapshots', { id: key, location: key, savedAt: now, document })
+  for (const snapshot of await getAll('snapshots')) {
+    if (age(snapshot, now) > SNAPSHOT_MAX_AGE_MS) await remove('snapshots', snapshot.id)
+  }
+}
+
+// The snapshot for a location, or null when there's none young enough.
+// Expired ones are deleted on the way.
+export async function loadSnapshot(location, now = Date.now()) {
+  const snapshot = await get('snapshots', locationKey(location))
+  if (!snapshot) return null
+  if (age(snapshot, now) <= SNAPSHOT_MAX_AGE_MS) return snapshot
+  await remove('snapshots', snapshot.id)
+  return null
+}
@@ -0,0 +1,36 @@
+// Display names for the sources named in the forecast document's provenance
+// and degraded lists (see api/forecast.js), and in verification scores (see
+// verification.js)
+
+export const SOURCE_LABELS = {
+  blend: 'Blended forecast',
+  nws: 'NWS',
+  'nws-hourly': 'NWS hourly',
+  'nws-forecast': 'NWS forecast',
+  'nws-alerts': 'NWS alerts',
+  'nws-observations': 'NWS station observations',
+  gfs: 'GFS',
+  gem: 'GEM',
+  ecmwf: 'ECMWF',
+  weatherapi: 'WeatherAPI.com',
+  'weatherapi-alerts': 'WeatherAPI.com alerts',
+  'air-quality': 'Open-Meteo air quality',
+  default: 'Default',
+}
+
+// Label for a provenance entry, including the "a+b" means some strategies use
+export function sourceLabel(source) {
+  if (!source) return null
+  const labels = source.split('+').map((part) => SOURCE_LABELS[part] || part)
+  return labels.length > 1 ? `Average of ${labels.join(', ')}` : labels[0]
+}
+
+// How one value came about, for a hover or tap: its source, plus any fallback
+// that put that source there. `degraded` is the document's list for the part.
+export function describeSource(source, degraded = []) {
+  if (!source) return null
+  if (source === 'default') return 'No source had this value; a default was used'
+  const fallbacks = degraded.filter(({ using }) => using && source.split('+').includes(using))
+  const origin = source.includes('+') ? sourceLabel(source) : `From ${sourceLabel(source)}`
+  return [origin, ...fallbacks.map(({ message }) => `(${message})`)].join(' ')
+}
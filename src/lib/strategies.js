@@ -0,0 +1,67 @@
+// Blending strategies for the daily forecast (see blend.js). Each one says,
+// declaratively, where every daily value comes from:
+//   days    stages of sources the forecast's days come from. Each stage adds
+//           the days of its first source that has any, after the days so far.
+//   fields  per field, either a priority list (the first source with a value
+//           for that day wins) or { combine: 'max' | 'mean', sources }, which
+//           combines every listed source that has a value for that day
+// Sources:
+//   nws-hourly    meteorological-day high/low and midday condition from NWS hourly periods
+//   nws-forecast  NWS 12-hour periods (daytime condition and precipitation chance)
+//   weatherapi    WeatherAPI.com forecast day
+//   gem           Open-Meteo GEM daily
+
+export const DEFAULT_STRATEGY = 'nws-first'
+
+export const STRATEGIES = {
+  'nws-first': {
+    name: 'NWS first',
+    description: 'NWS temperatures and conditions for the first week, WeatherAPI.com precipitation and later days, and GEM snow when it is higher',
+    days: [['nws-hourly'], ['weatherapi', 'gem']],
+    fields: {
+      weather_code: ['nws-forecast', 'nws-hourly', 'weatherapi', 'gem'],
+      temperature_2m_max: ['nws-hourly', 'weatherapi', 'gem'],
+      temperature_2m_min: ['nws-hourly', 'weatherapi', 'gem'],
+      snowfall_sum: { combine: 'max', sources: ['weatherapi', 'gem'] },
+      precipitation_sum: ['weatherapi', 'gem'],
+      precipitation_probability_max: ['weatherapi'],
+      sunrise: ['weatherapi', 'gem'],
+      sunset: ['weatherapi', 'gem'],
+      uv_index_max: ['weatherapi', 'gem'],
+    },
+  },
+
+  'weatherapi-first': {
+    name: 'WeatherAPI.com first',
+    description: 'WeatherAPI.com for every day it covers, with NWS and then GEM filling in whatever it lacks',
+    days: [['weatherapi', 'nws-hourly', 'gem']],
+    fields: {
+      weather_code: ['weatherapi', 'nws-forecast', 'nws-hourly', 'gem'],
+      temperature_2m_max: ['weatherapi', 'nws-hourly', 'gem'],
+      temperature_2m_min: ['weatherapi', 'nws-hourly', 'gem'],
+      snowfall_sum: ['weatherapi', 'gem'],
+      precipitation_sum: ['weatherapi', 'gem'],
+      precipitation_probability_max: ['weatherapi', 'nws-forecast'],
+      sunrise: ['weatherapi', 'gem'],
+      sunset: ['weatherapi', 'gem'],
+      uv_index_max: ['weatherapi', 'gem'],
+    },
+  },
+
+  consensus: {
+    name: 'Model consensus',
+    description: 'The average of NWS, WeatherAPI.com and GEM for temperatures and precipitation, over the same days as NWS first',
+    days: [['nws-hourly'], ['weatherapi', 'gem']],
+    fields: {
+      weather_code: ['nws-forecast', 'weatherapi', 'gem', 'nws-hourly'],
+      temperature_2m_max: { combine: 'mean', sources: ['nws-hourly', 'weatherapi', 'gem'] },
+      temperature_2m_min: { combine: 'mean', sources: ['nws-hourly', 'weatherapi', 'gem'] },
+      snowfall_sum: { combine: 'mean', sources: ['weatherapi', 'gem'] },
+      precipitation_sum: { combine: 'mean', sources: ['weatherapi', 'gem'] },
+      precipitation_probability_max: { combine: 'mean', sources: ['weatherapi', 'nws-forecast'] },
+      sunrise: ['weatherapi', 'gem'],
+      sunset: ['weatherapi', 'gem'],
+      uv_index_max: ['weatherapi', 'gem'],
+    },
+  },
+}
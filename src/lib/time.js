@@ -0,0 +1,86 @@
+// Times in the forecast data model are wall-clock times at the location
+// ("2026-01-15T06:00", or "2026-01-15" for days), the way Open-Meteo writes
+// them for a given timezone. They are read and shown exactly as written,
+// never through the browser's own timezone, so a Denver forecast looks the
+// same from Pittsburgh or Honolulu. Instants (epoch times, ISO strings with an
+// offset) are shown in the location's IANA zone.
+
+// Formatters are costly to build and get asked for hundreds of times a render
+const wallClockFormats = new Map()
+
+const wallClockFormat = (timeZone) => {
+  if (!wallClockFormats.has(timeZone)) {
+    wallClockFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }))
+  }
+  return wallClockFormats.get(timeZone)
+}
+
+// An instant as wall-clock "YYYY-MM-DDTHH:MM" in `timeZone` (the browser's
+// zone when none is known yet)
+export function toLocalTime(instant, timeZone) {
+  const parts = Object.fromEntries(wallClockFormat(timeZone).formatToParts(new Date(instant))
+    .map(({ type, value }) => [type, value]))
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`
+}
+
+// What the clock says at the location right now
+export const localNow = (timeZone) => toLocalTime(Date.now(), timeZone)
+
+// How long ago an instant was, for "updated ..." stamps: "just now",
+// "5 minutes ago", "2 hours ago"
+export function timeAgo(instant, now = Date.now()) {
+  const minutes = Math.floor((now - new Date(instant)) / 60000)
+  if (minutes < 1) return 'just now'
+  const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' })
+  return minutes < 60 ? format.format(-minutes, 'minute') : format.format(-Math.floor(minutes / 60), 'hour')
+}
+
+export const localDate = (time) => time.slice(0, 10)
+export const localHour = (time) => Number(time.slice(11, 13) || 0)
+
+// A wall-clock time as a Date whose UTC fields hold it, for formatting
+const wallClock = (time) => {
+  const [year, month, day] = time.slice(0, 10).split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day, localHour(time), Number(time.slice(14, 16) || 0)))
+}
+
+// The instant (epoch ms) a wall-clock time in `timeZone` stands for, with the
+// zone's offset at that time rather than today's, so it holds across DST
+// changes. A time a change repeats counts as the first of the two; one it
+// skips (which forecasts never list) comes out an hour early.
+export function toInstant(time, timeZone) {
+  const asUtc = wallClock(time).getTime()
+  const offsetAt = (instant) => wallClock(toLocalTime(instant, timeZone)).getTime() - instant
+  return asUtc - offsetAt(asUtc - offsetAt(asUtc))
+}
+
+// Format a wall-clock time with Intl options, without shifting it
+export function formatLocal(time, options) {
+  if (!time) return '--'
+  return wallClock(time).toLocaleString('en-US', { ...options, timeZone: 'UTC' })
+}
+
+// Day of the week of a local date, 0 = Sunday
+export const localWeekday = (time) => wallClock(time).getUTCDay()
+
+// Format an instant in the location's zone
+export function formatInstant(instant, timeZone, options) {
+  return new Date(instant).toLocaleString('en-US', { ...options, timeZone: timeZone || undefined })
+}
+
+// Short label for the zone at that moment ("EST", "MDT", "HST"), or the zone
+// name where the browser doesn't know an abbreviation
+export function zoneLabel(timeZone, at = Date.now()) {
+  if (!timeZone) return ''
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(at)).find(({ type }) => type === 'timeZoneName')
+  return part?.value || timeZone
+}
@@ -0,0 +1,65 @@
+// The forecast data model's units, and the only place values get converted.
+//
+// Every series handed out by a provider client (see providers/provider.js) is
+// in canonical units, with its `units` map saying so:
+//   temperatures       °F
+//   precipitation, snowfall, snow depth   inch
+//   visibility         mi
+//   freezing level     ft
+//   wind speed         mph
+// Anything else (%, hPa, µg/m³, codes, times) is passed through untouched.
+// Components read values as they are and only format them.
+
+// Length units in inches, speed units in mph
+const LENGTH = { inch: 1, mm: 1 / 25.4, cm: 1 / 2.54, m: 1 / 0.0254, ft: 12, mi: 63360, km: 1 / 0.0000254 }
+const SPEED = { mph: 1, 'km/h': 1 / 1.609344, 'm/s': 3600 / 1609.344, kn: 1.852 / 1.609344 }
+
+// Spellings providers use for the same unit
+const ALIASES = { in: 'inch', inches: 'inch', F: '°F', C: '°C', kmh: 'km/h', knots: 'kn' }
+
+const CANONICAL_LENGTH = { visibility: 'mi', freezing_level_height: 'ft' }
+
+const unitName = (unit) => ALIASES[unit] ?? unit
+
+// The canonical unit for a field that arrived in `unit`
+export function canonicalUnit(field, unit) {
+  const name = unitName(unit)
+  if (name === '°F' || name === '°C') return '°F'
+  if (name in LENGTH) return CANONICAL_LENGTH[field] || 'inch'
+  if (name in SPEED) return 'mph'
+  return unit
+}
+
+// Convert one value between two units of the same kind. null/undefined stay as
+// they are; units that can't be converted into each other throw.
+export function convert(value, from, to) {
+  if (value === null || value === undefined) return value
+  const source = unitName(from)
+  const target = unitName(to)
+  if (source === target) return value
+  if (source === '°C' && target === '°F') return value * 9 / 5 + 32
+  if (source === '°F' && target === '°C') return (value - 32) * 5 / 9
+  if (source in LENGTH && target in LENGTH) return value * LENGTH[source] / LENGTH[target]
+  if (source in SPEED && target in SPEED) return value * SPEED[source] / SPEED[target]
+  throw new Error(`Can't convert ${from} to ${to}`)
+}
+
+// Converted values keep 4 decimals, well past any provider's precision, so
+// 5.08 cm comes out as 2 inches rather than 1.9999999999999998
+const tidy = (value) => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : value)
+
+// A series ({ source, data, units }) with every field in its canonical unit
+export function toCanonical(series) {
+  if (!series) return series
+  const data = { ...series.data }
+  const units = { ...series.units }
+  for (const [field, unit] of Object.entries(series.units || {})) {
+    const target = canonicalUnit(field, unit)
+    if (target === unit || !(field in data)) continue
+    const value = data[field]
+    const converted = (v) => tidy(convert(v, unit, target))
+    data[field] = Array.isArray(value) ? value.map(converted) : converted(value)
+    units[field] = target
+  }
+  return { ...series, data, units }
+}
@@ -0,0 +1,146 @@
+import { getByLocation, get, locationKey, put, remove } from './db.js'
+import { IMPERIAL } from './providers/index.js'
+import { localNow } from './time.js'
+
+// Forecast verification: which source gets our locations right. Once a day
+// per location, the daily forecast of every source is snapshotted into
+// IndexedDB; once those days are past, observed values from the Open-Meteo
+// archive are stored next to them, and each source is scored by lead time
+// (days between the snapshot and the day forecast, 0 = same day).
+//
+// forecasts     { id, location, issued, source, days: { <date>: { <field>: value } } }
+//               plus, per location and day, a marker with source 'archived'
+//               and no days, written before that day's snapshots
+// observations  { id, location, date, <field>: value }
+
+// What gets verified, as daily fields in canonical units (°F, inch)
+export const VERIFIED_FIELDS = ['temperature_2m_max', 'temperature_2m_min', 'precipitation_sum']
+
+// Sources in the order the scores list them; `blend` is the dashboard's own
+// blended forecast
+export const VERIFIED_SOURCES = ['blend', 'nws', 'gfs', 'gem', 'ecmwf', 'weatherapi']
+
+// Snapshots older than this are dropped
+const KEEP_DAYS = 90
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS)
+
+// A daily series' verified fields by date
+function snapshotDays(series) {
+  const days = {}
+  series?.time?.forEach((date, i) => {
+    days[date] = Object.fromEntries(VERIFIED_FIELDS.map((field) => [field, series[field]?.[i] ?? null]))
+  })
+  return days
+}
+
+// Snapshot today's forecast from every source for a location. Does nothing
+// once today's has been stored, whichever sources that got. `blended` is the
+// dashboard's daily series, `providers` clients from src/lib/api.js; a source
+// that fails is skipped.
+// Once `signal` is aborted nothing more is stored, so a day is never archived
+// with only part of its sources.
+export async function archiveForecasts(providers, location, { timeZone, blended, signal }) {
+  const key = locationKey(location)
+  const issued = localNow(timeZone).slice(0, 10)
+  const id = (source) => `${key}|${issued}|${source}`
+  if (await get('forecasts', id('archived'))) return
+
+  const point = { lat: location.lat, lon: location.lon }
+  const options = { units: IMPERIAL, days: 16, ...(timeZone && { timezone: timeZone }) }
+  const [nws, gfs, gem, ecmwf, weatherapi] = await Promise.all([
+    providers.nws.daily(point, VERIFIED_FIELDS),
+    providers.gfs.daily(point, VERIFIED_FIELDS, options),
+    providers.gem.daily(point, VERIFIED_FIELDS, options),
+    providers.ecmwf.daily(point, VERIFIED_FIELDS, { ...options, days: 10 }),
+    providers.weatherapi.daily(point, VERIFIED_FIELDS, { days: 14 }),
+  ].map((request) => request.catch(() => null)))
+  if (signal?.aborted) return
+  await put('forecasts', { id: id('archived'), location: key, issued, source: 'archived', days: {} })
+
+  const snapshots = { nws, gfs, gem, ecmwf, weatherapi, blend: { data: blended } }
+  for (const [source, series] of Object.entries(snapshots)) {
+    if (!series?.data) continue
+    await put('forecasts', { id: id(source), location: key, issued, source, days: snapshotDays(series.data) })
+  }
+
+  const cutoff = addDays(issued, -KEEP_DAYS)
+  for (const snapshot of await getByLocation('forecasts', key)) {
+    if (snapshot.issued < cutoff) await remove('forecasts', snapshot.id)
+  }
+}
+
+// Fetch observations for the past days that have forecasts but no
+// observation yet. Days the archive hasn't filled in are tried again next time.
+export async function collectObservations(providers, location, { timeZone } = {}) {
+  const key = locationKey(location)
+  const today = localNow(timeZone).slice(0, 10)
+  const [forecasts, observations] = await Promise.all([
+    getByLocation('forecasts', key),
+    getByLocation('observations', key),
+  ])
+  const observed = new Set(observations.map(({ date }) => date))
+  const wanted = new Set()
+  for (const snapshot of forecasts) {
+    for (const date of Object.keys(snapshot.days)) {
+      if (date < today && !observed.has(date)) wanted.add(date)
+    }
+  }
+  if (wanted.size === 0) return
+
+  const dates = [...wanted].sort()
+  const { daily } = await providers.gfs.observed({ lat: location.lat, lon: location.lon }, {
+    daily: { fields: VERIFIED_FIELDS },
+    start: dates[0],
+    end: dates[dates.length - 1],
+    units: IMPERIAL,
+    ...(timeZone && { timezone: timeZone }),
+  })
+  for (const [date, values] of Object.entries(snapshotDays(daily?.data))) {
+    if (!wanted.has(date) || VERIFIED_FIELDS.some((field) => values[field] === null)) continue
+    await put('observations', { id: `${key}|${date}`, location: key, date, ...values })
+  }
+}
+
+// Mean absolute error and bias (forecast minus observed; positive runs warm
+// or wet) per field, source and lead time:
+//   { <field>: { <source>: { <lead>: { mae, bias, count } } } }
+export async function scoreForecasts(location) {
+  const key = locationKey(location)
+  const [forecasts, observations] = await Promise.all([
+    getByLocation('forecasts', key),
+    getByLocation('observations', key),
+  ])
+  const observedByDate = new Map(observations.map((observation) => [observation.date, observation]))
+
+  const errors = {}
+  for (const { issued, source, days } of forecasts) {
+    for (const [date, values] of Object.entries(days)) {
+      const observed = observedByDate.get(date)
+      const lead = daysBetween(issued, date)
+      if (!observed || lead < 0) continue
+      for (const field of VERIFIED_FIELDS) {
+        if (values[field] === null || observed[field] === null) continue
+        const list = ((errors[field] ??= {})[source] ??= {})[lead] ??= []
+        list.push(values[field] - observed[field])
+      }
+    }
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+  const scores = {}
+  for (const [field, bySource] of Object.entries(errors)) {
+    scores[field] = {}
+    for (const [source, byLead] of Object.entries(bySource)) {
+      scores[field][source] = Object.fromEntries(Object.entries(byLead).map(([lead, list]) => [lead, {
+        mae: mean(list.map(Math.abs)),
+        bias: mean(list),
+        count: list.length,
+      }]))
+    }
+  }
+  return scores
+}